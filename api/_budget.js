@@ -0,0 +1,14 @@
+// Spending limits the server can enforce. DAILY_BUDGET_USD is counted in each user's
+// browser, where the user can raise or clear it, so it only advises. Serverless functions
+// keep nothing between requests and can't count a day's spending themselves - instead,
+// ENFORCE_BUDGET_FALLBACKS makes requests on the deployment's own keys always use the
+// cheaper services the app switches to once a budget is used up.
+// The leading underscore keeps Vercel from serving this file as a route.
+
+import { BUDGET_FALLBACKS } from '../web/usage-meter.js';
+
+export { BUDGET_FALLBACKS };
+
+export function fallbacksEnforced() {
+  return /^(1|true|yes)$/i.test(process.env.ENFORCE_BUDGET_FALLBACKS || '');
+}
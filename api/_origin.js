@@ -0,0 +1,25 @@
+// Only the app's own pages may spend the deployment's keys. Browsers send Sec-Fetch-Site
+// with every request (and Origin with every POST), and a page on another site can't change
+// either, so this stops other sites from using our routes as a free proxy. A script outside
+// a browser can send whatever headers it likes - this doesn't stop that.
+// The leading underscore keeps Vercel from serving this file as a route.
+
+export function isSameOrigin(req) {
+  const site = req.headers['sec-fetch-site'];
+  if (site) {
+    return site === 'same-origin';
+  }
+
+  // Browsers from before Sec-Fetch-Site still send Origin
+  const origin = req.headers.origin;
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  if (!origin || !host) {
+    return false;
+  }
+
+  try {
+    return new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
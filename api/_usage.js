@@ -0,0 +1,36 @@
+// Usage records for the deployment's logs. Serverless functions keep nothing between
+// requests, so each request logs one JSON line that `vercel logs` or a log drain can add up.
+// The leading underscore keeps Vercel from serving this file as a route.
+
+export function logUsage(route, usage) {
+  console.log(JSON.stringify({ type: 'usage', route, time: new Date().toISOString(), ...usage }));
+}
+
+// The usage field of a chat completion - from the JSON body, or from the last streamed
+// chunk that has one (OpenAI sends it last when stream_options.include_usage is set)
+export function completionUsage(text) {
+  try {
+    const data = JSON.parse(text);
+    return data.usage ? { model: data.model, ...data.usage } : null;
+  } catch (error) {
+    // Not a single JSON body, so a server-sent event stream
+  }
+
+  let usage = null;
+  for (const line of text.split('\n')) {
+    const data = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : '';
+    if (!data || data === '[DONE]') {
+      continue;
+    }
+
+    try {
+      const chunk = JSON.parse(data);
+      if (chunk.usage) {
+        usage = { model: chunk.model, ...chunk.usage };
+      }
+    } catch (error) {
+      // A malformed chunk doesn't change what was used
+    }
+  }
+  return usage;
+}
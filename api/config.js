@@ -1,12 +1,26 @@
+import { fallbacksEnforced } from './_budget.js';
+
 export default function handler(req, res) {
   // Only allow GET requests
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Return the API keys from environment variables
+  // Only report which services are configured - the keys themselves stay on the server
+  // and are attached by /api/vision and /api/tts
   res.status(200).json({
-    OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
-    ELEVENLABS_API_KEY: process.env.ELEVENLABS_API_KEY || ''
+    OPENAI_ENABLED: Boolean(process.env.OPENAI_API_KEY),
+    // Not when the deployment has switched its ElevenLabs key off to save costs
+    ELEVENLABS_ENABLED: Boolean(process.env.ELEVENLABS_API_KEY) && !fallbacksEnforced(),
+    // Vision provider selection: 'openai' (default), 'compatible' or 'mock'
+    VISION_PROVIDER: process.env.VISION_PROVIDER || 'openai',
+    VISION_BASE_URL: process.env.VISION_BASE_URL || '',
+    VISION_MODEL: process.env.VISION_MODEL || '',
+    // Speech engine override: 'elevenlabs', 'browser' or 'mock' (defaults to ElevenLabs when configured)
+    TTS_ENGINE: process.env.TTS_ENGINE || '',
+    // Default daily spending limit in US dollars before the app switches to cheaper services
+    // (0 for none). Counted on each device and changeable in the settings, so it only advises -
+    // ENFORCE_BUDGET_FALLBACKS is what holds the deployment's own keys to the cheaper services.
+    DAILY_BUDGET_USD: Number(process.env.DAILY_BUDGET_USD) || 0
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,90 @@
+import { BUDGET_FALLBACKS, fallbacksEnforced } from './_budget.js';
+import { isSameOrigin } from './_origin.js';
+import { logUsage } from './_usage.js';
+
+const ELEVENLABS_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
+const DEFAULT_VOICE_ID = '21m00Tcm4TlvDq8ikWAM';
+const DEFAULT_MODEL_ID = 'eleven_multilingual_v2';
+const MAX_TEXT_LENGTH = 2500;
+
+export default async function handler(req, res) {
+  // POST only: a GET URL could be played by any page's <audio> element on our key, and
+  // would put what the user hears into URLs and access logs
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isSameOrigin(req)) {
+    return res.status(403).json({ error: 'Only the app itself may use this route', code: 'origin' });
+  }
+
+  // Users may bring their own key from the settings screen
+  const ownKey = Boolean(req.headers['x-elevenlabs-key']);
+  const apiKey = req.headers['x-elevenlabs-key'] || process.env.ELEVENLABS_API_KEY;
+  if (!apiKey) {
+    return res.status(500).json({ error: 'ElevenLabs API key not configured', code: 'missing_key' });
+  }
+
+  // The deployment only pays for the device voice - the app falls back to it on this error
+  if (!ownKey && fallbacksEnforced() && BUDGET_FALLBACKS.ttsEngine !== 'elevenlabs') {
+    return res.status(403).json({ error: 'ElevenLabs is switched off on this deployment to save costs', code: 'budget' });
+  }
+
+  // stream asks for audio that can start playing before ElevenLabs has finished generating
+  const { text, voiceId, modelId, speed, stream } = req.body || {};
+  const streaming = Boolean(stream);
+
+  if (typeof text !== 'string' || text.trim() === '') {
+    return res.status(400).json({ error: 'text is required' });
+  }
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return res.status(413).json({ error: 'text is too long' });
+  }
+
+  // Voice IDs are alphanumeric - don't let the client inject path segments
+  const voice = /^[A-Za-z0-9]+$/.test(voiceId || '') ? voiceId : DEFAULT_VOICE_ID;
+  const model = /^eleven_[a-z0-9_]+$/.test(modelId || '') ? modelId : DEFAULT_MODEL_ID;
+  // ElevenLabs accepts speeds between 0.7 and 1.2
+  const voiceSpeed = Math.min(Math.max(Number(speed) || 1, 0.7), 1.2);
+
+  try {
+    const upstream = await fetch(`${ELEVENLABS_URL}/${voice}${streaming ? '/stream' : ''}`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'audio/mpeg',
+        'Content-Type': 'application/json',
+        'xi-api-key': apiKey
+      },
+      body: JSON.stringify({
+        text: text,
+        model_id: model,
+        voice_settings: {
+          stability: 0.5,
+          similarity_boost: 0.5,
+          speed: voiceSpeed
+        }
+      })
+    });
+
+    res.status(upstream.status);
+    res.setHeader('Content-Type', upstream.headers.get('content-type') || 'audio/mpeg');
+    res.setHeader('Cache-Control', 'no-store');
+
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+    res.end();
+
+    // ElevenLabs bills by the character
+    if (upstream.ok) {
+      logUsage('tts', { model, characters: text.length, ownKey });
+    }
+  } catch (error) {
+    console.error('TTS proxy error:', error);
+    if (!res.headersSent) {
+      return res.status(502).json({ error: 'Could not reach ElevenLabs' });
+    }
+    res.end();
+  }
+}
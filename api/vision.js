@@ -0,0 +1,150 @@
+import { BUDGET_FALLBACKS, fallbacksEnforced } from './_budget.js';
+import { isSameOrigin } from './_origin.js';
+import { completionUsage, logUsage } from './_usage.js';
+
+const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+const ALLOWED_MODELS = ['gpt-4o', 'gpt-4o-mini'];
+const MAX_TOKENS_LIMIT = 2000; // Enough for reading a full page of text
+// What the app sends: a system prompt, a few earlier turns and the question with its picture
+const MAX_MESSAGES = 20;
+const MAX_IMAGES = 4;
+const MAX_TEXT_LENGTH = 5000;
+const IMAGE_DATA_URL = /^data:image\/(jpeg|png|webp);base64,/;
+const IMAGE_DETAILS = ['auto', 'low', 'high'];
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isSameOrigin(req)) {
+    return res.status(403).json({ error: 'Only the app itself may use this route', code: 'origin' });
+  }
+
+  // Users may bring their own key from the settings screen
+  const ownKey = Boolean(req.headers['x-openai-key']);
+  const apiKey = req.headers['x-openai-key'] || process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    return res.status(500).json({ error: 'OpenAI API key not configured', code: 'missing_key' });
+  }
+
+  const { messages, max_tokens, model, stream, response_format } = req.body || {};
+
+  // Only requests shaped like the app's own, so the route isn't a general-purpose chat proxy
+  if (!isAppConversation(messages)) {
+    return res.status(400).json({ error: 'messages must be a question about a picture' });
+  }
+
+  if (response_format !== undefined && !(response_format && response_format.type === 'json_object')) {
+    return res.status(400).json({ error: 'response_format must be json_object' });
+  }
+
+  // Never let the client pick an arbitrary model or an unbounded completion, nor a dearer
+  // one than the deployment pays for
+  const allowedModel = ALLOWED_MODELS.includes(model) ? model : ALLOWED_MODELS[0];
+  const body = {
+    model: !ownKey && fallbacksEnforced() ? BUDGET_FALLBACKS.visionModel : allowedModel,
+    messages,
+    max_tokens: Math.min(Number(max_tokens) || 200, MAX_TOKENS_LIMIT),
+    stream: Boolean(stream)
+  };
+
+  // Streams only report their token usage when asked to, in one last chunk
+  if (body.stream) {
+    body.stream_options = { include_usage: true };
+  }
+
+  if (response_format) {
+    body.response_format = { type: 'json_object' };
+  }
+
+  try {
+    const started = Date.now();
+    const upstream = await fetch(OPENAI_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    // Pass the status and body straight through so the client sees OpenAI errors as-is
+    res.status(upstream.status);
+    res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    // How long OpenAI took to start answering, so the client can tell its upload time apart
+    res.setHeader('Server-Timing', `upstream;dur=${Date.now() - started}`);
+
+    // Keep a copy on the way through to find the usage in
+    const decoder = new TextDecoder();
+    let text = '';
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+      text += decoder.decode(chunk, { stream: true });
+    }
+    res.end();
+
+    const usage = upstream.ok ? completionUsage(text) : null;
+    if (usage) {
+      logUsage('vision', {
+        model: usage.model || body.model,
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        ownKey
+      });
+    }
+  } catch (error) {
+    console.error('Vision proxy error:', error);
+    if (!res.headersSent) {
+      return res.status(502).json({ error: 'Could not reach OpenAI' });
+    }
+    res.end();
+  }
+}
+
+// An optional system prompt, earlier user and assistant turns, and last the user's question
+// with the picture it is about. Pictures are the camera frames the app sends as data URLs -
+// never addresses for OpenAI to fetch.
+function isAppConversation(messages) {
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_MESSAGES) {
+    return false;
+  }
+
+  let images = 0;
+  const valid = messages.every((message, index) => {
+    if (!message || typeof message !== 'object') {
+      return false;
+    }
+    if (message.role === 'system' || message.role === 'assistant') {
+      return (message.role === 'assistant' || index === 0) && isText(message.content);
+    }
+    if (message.role !== 'user') {
+      return false;
+    }
+    if (isText(message.content)) {
+      return true;
+    }
+
+    return Array.isArray(message.content) && message.content.length > 0 && message.content.every(part => {
+      if (part && part.type === 'text') {
+        return isText(part.text);
+      }
+      if (part && part.type === 'image_url' && part.image_url) {
+        images++;
+        return typeof part.image_url.url === 'string' && IMAGE_DATA_URL.test(part.image_url.url) &&
+          (part.image_url.detail === undefined || IMAGE_DETAILS.includes(part.image_url.detail));
+      }
+      return false;
+    });
+  });
+
+  const question = messages[messages.length - 1];
+  return valid && images <= MAX_IMAGES && question.role === 'user' && Array.isArray(question.content) &&
+    question.content.some(part => part.type === 'image_url');
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AnswerHistory } from '../web/answer-history.js';
+import { MemoryStorage } from './fakes.js';
+
+test('keeps answers with their question and time, newest current', () => {
+    const history = new AnswerHistory({ storage: null });
+    assert.equal(history.current, null);
+
+    history.add('What is this?', 'A mug.', 1000);
+    history.add('What colour is it?', 'Blue.', 2000);
+
+    assert.equal(history.length, 2);
+    assert.deepEqual(history.current, { question: 'What colour is it?', answer: 'Blue.', time: 2000 });
+});
+
+test('goes back and forward through earlier answers', () => {
+    const history = new AnswerHistory({ storage: null });
+    history.add('One?', 'First.');
+    history.add('Two?', 'Second.');
+    history.add('Three?', 'Third.');
+
+    assert.equal(history.previous().answer, 'Second.');
+    assert.equal(history.previous().answer, 'First.');
+    assert.equal(history.previous(), null);
+    assert.equal(history.current.answer, 'First.', 'stays at the oldest');
+    assert.equal(history.next().answer, 'Second.');
+
+    // A new answer becomes the one "repeat" says
+    history.add('Four?', 'Fourth.');
+    assert.equal(history.current.answer, 'Fourth.');
+    assert.equal(history.next(), null);
+});
+
+test('is saved on the device and survives a reload', () => {
+    const storage = new MemoryStorage();
+    const changes = [];
+    const history = new AnswerHistory({ storage, onChange: () => changes.push(history.length) });
+    history.add('What is this?', 'A mug.', 1000);
+
+    const reloaded = new AnswerHistory({ storage });
+    assert.deepEqual(reloaded.entries, [{ question: 'What is this?', answer: 'A mug.', time: 1000 }]);
+    assert.equal(reloaded.current.answer, 'A mug.');
+
+    history.clear();
+    assert.equal(storage.getItem('blindvision.history'), null);
+    assert.deepEqual(changes, [1, 0]);
+});
+
+test('keeps only the most recent answers', () => {
+    const storage = new MemoryStorage();
+    const history = new AnswerHistory({ storage, maxEntries: 2 });
+    ['A', 'B', 'C'].forEach(answer => history.add('?', answer));
+
+    assert.deepEqual(history.entries.map(entry => entry.answer), ['B', 'C']);
+    assert.equal(JSON.parse(storage.getItem('blindvision.history')).length, 2);
+});
+
+test('ignores saved data it cannot read', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('blindvision.history', '{not json');
+    assert.equal(new AnswerHistory({ storage }).length, 0);
+
+    storage.setItem('blindvision.history', JSON.stringify([{ question: 'Q', answer: 'A', time: 1 }, null, { question: 'Q' }]));
+    assert.equal(new AnswerHistory({ storage }).length, 1);
+
+    // Full or blocked storage doesn't break the history itself
+    const full = new MemoryStorage();
+    full.setItem = () => {
+        throw new Error('QuotaExceededError');
+    };
+    const history = new AnswerHistory({ storage: full });
+    history.add('Q', 'A');
+    assert.equal(history.length, 1);
+});
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BlindVisionApp } from '../web/app-controller.js';
+import { translate } from '../web/i18n.js';
+import {
+    FakeDocument, FakeMediaDevices, FakeSpeechRecognition, FakeSpeechSynthesis, FakeTimers, FakeUtterance,
+    FakeWindow, MemoryStorage
+} from './fakes.js';
+
+// The whole app on fakes, with the mock vision provider and the device voice.
+// settings: stored settings to start with, e.g. { activationMode: 'always-on' }
+function createApp(settings = {}) {
+    const storage = new MemoryStorage();
+    Object.keys(settings).forEach(name => storage.setItem(`blindvision.${name}`, settings[name]));
+
+    const timers = new FakeTimers();
+    const synth = new FakeSpeechSynthesis();
+    const app = new BlindVisionApp({
+        window: new FakeWindow({ VISION_PROVIDER: 'mock', TTS_ENGINE: 'browser' }),
+        document: new FakeDocument(),
+        storage: storage,
+        timers: timers,
+        SpeechRecognition: FakeSpeechRecognition,
+        synth: synth,
+        Utterance: FakeUtterance,
+        mediaDevices: new FakeMediaDevices()
+    });
+
+    return { app, timers, synth, recognition: app.speechInput.recognition };
+}
+
+// Lets each utterance finish as soon as the speech queue gets to it (after its short real-time
+// pause for the microphone) and returns what was said
+async function finishSpeaking(app, synth) {
+    const spoken = [];
+    for (let wait = 0; wait === 0 || (wait < 200 && (app.isPlaying || app.isAnalyzing)); wait++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (synth.current) {
+            spoken.push(synth.current.text);
+            synth.finish();
+        }
+    }
+    assert.equal(app.isPlaying, false, 'still speaking');
+    return spoken;
+}
+
+// Welcome, camera and the first listen
+async function start(settings) {
+    const setup = createApp(settings);
+    await finishSpeaking(setup.app, setup.synth);
+    setup.timers.advance(3500);
+    assert.equal(setup.recognition.started, 1);
+    setup.recognition.fireStart();
+    return setup;
+}
+
+// What the browser does with a final result: hands it over, then ends because the app paused it
+async function say(setup, transcript) {
+    setup.recognition.fireResult(transcript);
+    setup.recognition.fireEnd();
+    return finishSpeaking(setup.app, setup.synth);
+}
+
+test('a question is answered out loud and listening starts again afterwards', async () => {
+    const setup = await start({ activationMode: 'always-on' });
+    const { app, timers, recognition } = setup;
+
+    const spoken = await say(setup, 'what is in front of me');
+
+    assert.deepEqual(spoken, ['This is a test answer to: what is in front of me']);
+    assert.equal(recognition.stopped, 1);
+    assert.equal(app.history.current.answer, spoken[0]);
+
+    timers.advance(1500);
+    assert.equal(recognition.started, 2);
+    assert.equal(app.speechInput.isListening, true);
+});
+
+test('a one-word command works in always-on mode', async () => {
+    const setup = await start({ activationMode: 'always-on' });
+
+    assert.deepEqual(await say(setup, 'help'), [translate('en', 'help')]);
+    setup.timers.advance(1500);
+    assert.equal(setup.recognition.started, 2);
+});
+
+test('the wake word comes before the question', async () => {
+    const setup = await start();
+
+    assert.deepEqual(await say(setup, 'what is in front of me'), []);
+    assert.deepEqual(await say(setup, 'assistant, repeat that'), [translate('en', 'repeatNothing')]);
+});
+
+test('after reading, a question takes "repeat" back to answers', async () => {
+    const setup = await start({ activationMode: 'always-on' });
+    const { app } = setup;
+
+    await say(setup, 'read this');
+    assert.notEqual(app.textReader, null);
+
+    const answer = await say(setup, 'what colour is the label');
+    assert.equal(app.textReader, null);
+    assert.deepEqual(await say(setup, 'repeat'), answer);
+});
+
+test('"stop" ends reading', async () => {
+    const setup = await start({ activationMode: 'always-on' });
+
+    await say(setup, 'read this');
+    await say(setup, 'stop');
+
+    assert.equal(setup.app.textReader, null);
+});
+
+test('follow-ups send the earlier picture only when the setting is on', async () => {
+    for (const conversationFrames of [false, true]) {
+        const setup = await start({ activationMode: 'always-on', conversationFrames: conversationFrames });
+
+        await say(setup, 'what is in front of me');
+        await say(setup, 'what colour is it');
+
+        const [earlierQuestion] = setup.app.vision.provider.calls.at(-1).options.history;
+        assert.equal(Array.isArray(earlierQuestion.content), conversationFrames);
+    }
+});
+
+test('touching the screen stops the rest of a streamed answer too', async () => {
+    const { app, synth, recognition } = await start({ activationMode: 'always-on' });
+    let streamMore;
+    app.vision.provider.streamAnswer = async function* () {
+        yield 'There is a door ahead. ';
+        await new Promise(resolve => { streamMore = resolve; });
+        yield 'It is open and the handle is on the left.';
+    };
+
+    recognition.fireResult('what is in front of me');
+    recognition.fireEnd();
+    for (let wait = 0; wait < 200 && !synth.current; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(synth.current.text, 'There is a door ahead.');
+
+    app.handleTouchControl({ target: {} });
+    streamMore();
+
+    assert.deepEqual(await finishSpeaking(app, synth), []);
+    assert.equal(app.isAnalyzing, false);
+    assert.equal(app.history.length, 0);
+});
+
+test('hazards left out of a warning are still new on the next scan', async () => {
+    const { app } = createApp();
+    const hazards = [
+        { type: 'stairs', description: 'Stairs going down ahead.', position: 'center', severity: 'high' },
+        { type: 'bicycle', description: 'A bicycle on your left.', position: 'left', severity: 'low' },
+        { type: 'door', description: 'An open door on your right.', position: 'right', severity: 'medium' }
+    ];
+
+    assert.deepEqual(app.filterNewHazards(hazards).map(hazard => hazard.type), ['stairs', 'door']);
+    assert.deepEqual(app.filterNewHazards(hazards).map(hazard => hazard.type), ['bicycle']);
+    assert.deepEqual(app.filterNewHazards(hazards), []);
+});
+
+test('guide mode says when it is too dark to see, and not on every scan', async () => {
+    const setup = await start({ activationMode: 'always-on' });
+    const { app, timers, synth } = setup;
+    const vibrations = [];
+    app.haptics.vibrate = name => vibrations.push(name);
+
+    assert.deepEqual(await say(setup, 'start guide mode'), [translate('en', 'guideOn')]);
+
+    app.frameChecker.canvas.brightness = 5;
+    timers.advance(app.guideModeIntervalMs);
+    assert.deepEqual(await finishSpeaking(app, synth), [translate('en', 'guideTooDark')]);
+    timers.advance(app.guideModeIntervalMs);
+    assert.deepEqual(await finishSpeaking(app, synth), []);
+    assert.deepEqual(vibrations.filter(name => name === 'guideBlind'), ['guideBlind']);
+
+    // Once it can see again, the next dark spell is announced straight away
+    app.frameChecker.canvas.brightness = 128;
+    timers.advance(app.guideModeIntervalMs);
+    await finishSpeaking(app, synth);
+    app.frameChecker.canvas.brightness = 5;
+    timers.advance(app.guideModeIntervalMs);
+    assert.deepEqual(await finishSpeaking(app, synth), [translate('en', 'guideTooDark')]);
+});
+
+test('the mock provider can only be chosen by the deployment', () => {
+    const { app } = createApp({ visionProvider: 'mock' });
+    assert.equal(app.getVisionConfig().provider, 'mock');
+
+    app.window.ENV = { VISION_PROVIDER: 'openai' };
+    assert.equal(app.getVisionConfig().provider, 'openai', 'an old stored choice is ignored');
+});
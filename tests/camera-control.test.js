@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CAMERA_FACING, CameraController } from '../web/camera-control.js';
+import { FakeMediaDevices } from './fakes.js';
+
+test('opens the rear camera by default and shows it in the video', async () => {
+    const mediaDevices = new FakeMediaDevices(['environment', 'user']);
+    const video = {};
+    const camera = new CameraController(video, undefined, { mediaDevices });
+
+    const stream = await camera.start();
+
+    assert.equal(video.srcObject, stream);
+    assert.equal(mediaDevices.requests[0].video.facingMode.ideal, CAMERA_FACING.REAR);
+    assert.equal(mediaDevices.requests[0].audio, false);
+});
+
+test('switching stops the old stream and reports the camera it got', async () => {
+    const mediaDevices = new FakeMediaDevices(['environment', 'user']);
+    const camera = new CameraController({}, CAMERA_FACING.REAR, { mediaDevices });
+    await camera.start();
+    const oldTrack = camera.track;
+
+    assert.equal(await camera.switchTo(CAMERA_FACING.FRONT), true);
+    assert.equal(oldTrack.stopped, true);
+    assert.equal(camera.facing, CAMERA_FACING.FRONT);
+});
+
+test('does not switch on a device with one camera', async () => {
+    const mediaDevices = new FakeMediaDevices(['environment']);
+    const camera = new CameraController({}, CAMERA_FACING.REAR, { mediaDevices });
+    await camera.start();
+
+    assert.equal(await camera.switchTo(CAMERA_FACING.FRONT), false);
+    assert.equal(mediaDevices.requests.length, 1);
+});
+
+test('permission errors reach the caller', async () => {
+    const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+    const camera = new CameraController({}, CAMERA_FACING.REAR, { mediaDevices: new FakeMediaDevices(['environment'], { error: denied }) });
+
+    await assert.rejects(camera.start(), { name: 'NotAllowedError' });
+});
+
+test('torch only where the track supports it', async () => {
+    const plain = new CameraController({}, CAMERA_FACING.REAR, { mediaDevices: new FakeMediaDevices() });
+    await plain.start();
+    assert.equal(await plain.setTorch(true), false);
+
+    const withTorch = new CameraController({}, CAMERA_FACING.REAR, { mediaDevices: new FakeMediaDevices(['environment'], { capabilities: { torch: true } }) });
+    await withTorch.start();
+    assert.equal(await withTorch.setTorch(true), true);
+    assert.equal(withTorch.torchOn, true);
+    assert.deepEqual(withTorch.track.applied, [{ advanced: [{ torch: true }] }]);
+});
+
+test('zoom steps stay within the camera range', async () => {
+    const mediaDevices = new FakeMediaDevices(['environment'], { capabilities: { zoom: { min: 1, max: 2 } } });
+    const camera = new CameraController({}, CAMERA_FACING.REAR, { mediaDevices });
+    await camera.start();
+
+    assert.equal(await camera.stepZoom(1), 1.5);
+    assert.equal(await camera.stepZoom(1), 2);
+    assert.equal(await camera.stepZoom(1), 2);
+    assert.equal(await camera.stepZoom(0), 1);
+    assert.equal(await camera.stepZoom(-1), 1);
+
+    const noZoom = new CameraController({}, CAMERA_FACING.REAR, { mediaDevices: new FakeMediaDevices() });
+    await noZoom.start();
+    assert.equal(noZoom.zoomRange(), null);
+    assert.equal(await noZoom.stepZoom(1), null);
+});
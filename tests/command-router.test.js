@@ -0,0 +1,257 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandRouter } from '../web/command-router.js';
+import { ACTIVATION_MODES } from '../web/activation.js';
+import { CAMERA_FACING } from '../web/camera-control.js';
+import { translate } from '../web/i18n.js';
+
+// Just enough of BlindVisionApp to see which action a command led to
+function createApp(state = {}) {
+    const calls = [];
+    const record = name => (...args) => {
+        calls.push([name, ...args]);
+    };
+
+    const app = {
+        language: 'en',
+        textReader: null,
+        finder: null,
+        guideMode: false,
+        camera: { facing: CAMERA_FACING.REAR },
+        calls: calls,
+        t: (key, params) => translate(app.language, key, params),
+        ...state
+    };
+    ['setLanguage', 'stopReading', 'readNextPage', 'readPreviousPage', 'readCurrentPage', 'spellLastLine',
+        'switchCamera', 'setTorch', 'zoom', 'stopFinding', 'startFinding', 'startReading', 'openSettings',
+        'explainInstall', 'speak', 'startGuideMode', 'stopGuideMode', 'setActivationMode', 'resetConversation',
+        'stopAllAudio', 'repeatAnswer', 'previousAnswer', 'nextAnswer', 'openHistory', 'clearHistory',
+        'changeSpeechRate', 'reportUsage', 'changeVerbosity', 'rememberAboutUser', 'forgetAboutUser',
+        'closeReading'].forEach(name => {
+        app[name] = record(name);
+    });
+
+    return app;
+}
+
+test('questions are not commands', async () => {
+    const app = createApp();
+
+    assert.equal(await new CommandRouter(app).route('what is in front of me'), false);
+    assert.equal(await new CommandRouter(app).route('what is next to the door'), false);
+    assert.equal(await new CommandRouter(app).route('can you guide me to the door'), false);
+    assert.equal(await new CommandRouter(app).route('is the back camera dirty'), false);
+    assert.equal(await new CommandRouter(app).route('turn on the light in the kitchen?'), false);
+    assert.equal(await new CommandRouter(app).route('is the clock showing usage today'), false);
+    app.language = 'es';
+    assert.equal(await new CommandRouter(app).route('¿está sucia la cámara trasera?'), false);
+    assert.equal(await new CommandRouter(app).route('¿hay un modo guía en este museo?'), false);
+    assert.deepEqual(app.calls, []);
+});
+
+test('short commands only match the whole utterance', async () => {
+    const app = createApp();
+    const router = new CommandRouter(app);
+
+    assert.equal(await router.route('is there a bus stop?'), false);
+    assert.equal(await router.route('can you help me cross the street'), false);
+    assert.equal(await router.route('what settings is the oven on'), false);
+    assert.deepEqual(app.calls, []);
+
+    assert.equal(await router.route('Stop!'), true);
+    assert.equal(await router.route('okay stop talking please'), true);
+    assert.deepEqual(app.calls, [['stopAllAudio'], ['closeReading'], ['stopAllAudio'], ['closeReading']]);
+});
+
+test('commands still allow a please and small variations', async () => {
+    const app = createApp();
+    const router = new CommandRouter(app);
+
+    await router.route('Guide me, please.');
+    await router.route('use the back camera');
+    await router.route('Turn on the light');
+    await router.route('How much have I used today?');
+
+    assert.deepEqual(app.calls, [['startGuideMode'], ['switchCamera', CAMERA_FACING.REAR], ['setTorch', true], ['reportUsage']]);
+});
+
+test('repeat, slower and faster', async () => {
+    const app = createApp();
+    const router = new CommandRouter(app);
+
+    await router.route('say that again');
+    await router.route('speak slower please');
+    await router.route('faster');
+
+    assert.deepEqual(app.calls, [['repeatAnswer'], ['changeSpeechRate', -1], ['changeSpeechRate', 1]]);
+});
+
+test('going through earlier answers', async () => {
+    const app = createApp({ language: 'es' });
+    const router = new CommandRouter(app);
+
+    await router.route('¿Y antes de eso?');
+    await router.route('siguiente respuesta');
+    await router.route('muestra el historial');
+    await router.route('borra el historial');
+
+    assert.deepEqual(app.calls, [['previousAnswer'], ['nextAnswer'], ['openHistory'], ['clearHistory']]);
+});
+
+test('asking what today has cost', async () => {
+    const app = createApp();
+
+    await new CommandRouter(app).route('How much have I used today?');
+    app.language = 'es';
+    await new CommandRouter(app).route('¿Cuánto he gastado hoy?');
+
+    assert.deepEqual(app.calls, [['reportUsage'], ['reportUsage']]);
+});
+
+test('answer length and what to remember about the user', async () => {
+    const app = createApp();
+    const router = new CommandRouter(app);
+
+    await router.route('Shorter answers, please.');
+    await router.route('more detailed answers');
+    await router.route('Remember that I\'m left-handed');
+    await router.route('forget what I told you');
+    app.language = 'es';
+    await router.route('Recuerda que mi perro se llama Max');
+    await router.route('respuestas más cortas');
+    app.language = 'en';
+    await router.route('Remember my dog is called Max');
+    assert.equal(await router.route('remember where I parked'), false);
+    assert.equal(await router.route('do you remember the colour of the door'), false);
+    app.language = 'es';
+    assert.equal(await router.route('recuerda dónde aparqué'), false);
+
+    assert.deepEqual(app.calls, [
+        ['changeVerbosity', -1],
+        ['changeVerbosity', 1],
+        ['rememberAboutUser', 'I\'m left-handed'],
+        ['forgetAboutUser'],
+        ['rememberAboutUser', 'mi perro se llama Max'],
+        ['changeVerbosity', -1],
+        ['rememberAboutUser', 'my dog is called Max']
+    ]);
+});
+
+test('while reading, repeat and back mean the page rather than the answers', async () => {
+    const app = createApp({ textReader: {} });
+
+    await new CommandRouter(app).route('repeat');
+    await new CommandRouter(app).route('go back');
+
+    assert.deepEqual(app.calls, [['readCurrentPage'], ['readPreviousPage']]);
+});
+
+test('camera, torch and zoom commands', async () => {
+    const app = createApp({ camera: { facing: CAMERA_FACING.FRONT } });
+    const router = new CommandRouter(app);
+
+    await router.route('switch camera');
+    await router.route('turn on the flashlight');
+    await router.route('zoom in');
+
+    assert.deepEqual(app.calls, [
+        ['switchCamera', CAMERA_FACING.REAR],
+        ['setTorch', true],
+        ['zoom', 1]
+    ]);
+});
+
+test('reading controls only apply while reading', async () => {
+    const idle = createApp();
+    await new CommandRouter(idle).route('next page');
+    assert.equal(idle.calls.some(([name]) => name === 'readNextPage'), false);
+
+    const reading = createApp({ textReader: {} });
+    assert.equal(await new CommandRouter(reading).route('next page'), true);
+    assert.deepEqual(reading.calls, [['readNextPage']]);
+});
+
+test('find commands carry the object to look for', async () => {
+    const app = createApp();
+
+    assert.equal(await new CommandRouter(app).route('find my keys'), true);
+    assert.deepEqual(app.calls, [['startFinding', 'keys']]);
+});
+
+test('stop also ends a search and reading', async () => {
+    const app = createApp({ finder: {} });
+
+    await new CommandRouter(app).route('stop');
+    assert.deepEqual(app.calls, [['stopAllAudio'], ['closeReading'], ['stopFinding']]);
+
+    app.calls.length = 0;
+    await new CommandRouter(app).route('stop looking');
+    assert.deepEqual(app.calls, [['stopFinding'], ['speak', translate('en', 'findingStopped')]]);
+});
+
+test('guide mode is checked before the generic stop', async () => {
+    const app = createApp({ guideMode: true });
+
+    await new CommandRouter(app).route('stop guide mode');
+
+    assert.deepEqual(app.calls, [['stopGuideMode']]);
+});
+
+test('understands commands in the current language', async () => {
+    const app = createApp({ language: 'es' });
+    const router = new CommandRouter(app);
+
+    await router.route('modo pulsar para hablar');
+    await router.route('cambia a inglés');
+
+    assert.deepEqual(app.calls, [
+        ['setActivationMode', ACTIVATION_MODES.PUSH_TO_TALK],
+        ['setLanguage', 'en']
+    ]);
+});
+
+test('commands can be added with their own phrases and parameters', async () => {
+    const app = createApp();
+    const router = new CommandRouter(app);
+    const timers = [];
+
+    router.register({
+        name: 'setTimer',
+        phrases: {
+            en: [/^set a timer for (\d+) minutes?$/],
+            es: [/^pon un temporizador de (\d+) minutos?$/]
+        },
+        slot: 'minutes',
+        handle: (target, params) => timers.push(Number(params.minutes))
+    }, { before: 'stop' });
+
+    assert.deepEqual(router.match('set a timer for 5 minutes').params, { minutes: '5' });
+    await router.route('Set a timer for 10 minutes.');
+    app.language = 'es';
+    await router.route('pon un temporizador de 3 minutos');
+    assert.deepEqual(timers, [10, 3]);
+    assert.equal(router.commands[router.commands.length - 2].name, 'setTimer');
+
+    router.unregister('setTimer');
+    assert.equal(router.match('set a timer for 5 minutes'), null);
+});
+
+test('commands can be switched off and parse their own parameters', async () => {
+    const app = createApp();
+    const router = new CommandRouter(app);
+
+    router.unregister('help');
+    assert.equal(await router.route('help'), false);
+
+    router.register({
+        name: 'countdown',
+        parse: text => (/^count down from (\d+)$/.test(text) ? { from: Number(text.split(' ').pop()) } : null),
+        when: target => !target.guideMode,
+        handle: (target, params) => target.speak(`${params.from}`)
+    });
+    assert.equal(await router.route('count down from 3'), true);
+    app.guideMode = true;
+    assert.equal(await router.route('count down from 3'), false);
+    assert.deepEqual(app.calls, [['speak', '3']]);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Conversation } from '../web/conversation.js';
+import { FakeTimers } from './fakes.js';
+
+test('builds chat messages for earlier turns, oldest first', () => {
+    const conversation = new Conversation({ timers: new FakeTimers() });
+    conversation.remember('What is this?', 'A mug.', 'frame-1');
+    conversation.remember('What colour is it?', 'Blue.', 'frame-2');
+
+    assert.deepEqual(conversation.buildMessages(), [
+        { role: 'user', content: 'What is this?' },
+        { role: 'assistant', content: 'A mug.' },
+        { role: 'user', content: 'What colour is it?' },
+        { role: 'assistant', content: 'Blue.' }
+    ]);
+});
+
+test('keeps only the most recent turns and frames', () => {
+    const conversation = new Conversation({ maxTurns: 3, maxFrames: 1, includeFrames: true, timers: new FakeTimers() });
+    for (let turn = 1; turn <= 5; turn++) {
+        conversation.remember(`Question ${turn}`, `Answer ${turn}`, `frame-${turn}`);
+    }
+
+    const messages = conversation.buildMessages();
+    assert.equal(conversation.length, 3);
+    assert.equal(messages[0].content, 'Question 3');
+    assert.equal(typeof messages[2].content, 'string');
+    assert.deepEqual(messages[4].content[1], { type: 'image_url', image_url: { url: 'frame-5' } });
+});
+
+test('forgets the conversation after a quiet spell', () => {
+    const timers = new FakeTimers();
+    const conversation = new Conversation({ timeoutMs: 1000, timers });
+
+    conversation.remember('What is this?', 'A mug.');
+    timers.advance(900);
+    conversation.remember('Is it full?', 'No.');
+    timers.advance(900);
+    assert.equal(conversation.length, 2, 'each turn restarts the clock');
+
+    timers.advance(100);
+    assert.equal(conversation.length, 0);
+    assert.equal(timers.count, 0);
+});
@@ -0,0 +1,360 @@
+// Fakes for the browser APIs the app uses, so the modules can run under Node
+
+// Timers that only fire when the test says so
+export class FakeTimers {
+    constructor() {
+        this.now = 0;
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { at, callback, interval }
+    }
+
+    setTimeout(callback, delay = 0) {
+        const id = this.nextId++;
+        this.pending.set(id, { at: this.now + delay, callback: callback, interval: null });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.pending.delete(id);
+    }
+
+    setInterval(callback, delay) {
+        const id = this.nextId++;
+        this.pending.set(id, { at: this.now + delay, callback: callback, interval: delay });
+        return id;
+    }
+
+    clearInterval(id) {
+        this.pending.delete(id);
+    }
+
+    // Runs everything due within the next ms, in time order
+    advance(ms) {
+        const end = this.now + ms;
+
+        while (true) {
+            let nextId = null;
+            let next = null;
+            this.pending.forEach((timer, id) => {
+                if (timer.at <= end && (!next || timer.at < next.at)) {
+                    nextId = id;
+                    next = timer;
+                }
+            });
+            if (!next) {
+                break;
+            }
+
+            this.now = next.at;
+            if (next.interval) {
+                next.at += next.interval;
+            } else {
+                this.pending.delete(nextId);
+            }
+            next.callback();
+        }
+
+        this.now = end;
+    }
+
+    get count() {
+        return this.pending.size;
+    }
+}
+
+// SpeechRecognition that records start/stop and lets the test play the browser's part
+export class FakeSpeechRecognition {
+    constructor() {
+        this.started = 0;
+        this.stopped = 0;
+        this.running = false;
+        this.failNextStart = null; // An Error to throw from the next start()
+        FakeSpeechRecognition.instances.push(this);
+    }
+
+    start() {
+        if (this.failNextStart) {
+            const error = this.failNextStart;
+            this.failNextStart = null;
+            throw error;
+        }
+        if (this.running) {
+            throw new Error('recognition has already started');
+        }
+        this.started++;
+        this.running = true;
+    }
+
+    stop() {
+        this.stopped++;
+    }
+
+    // Browser events
+    fireStart() {
+        this.onstart();
+    }
+
+    fireResult(transcript, isFinal = true) {
+        const result = [{ transcript: transcript }];
+        result.isFinal = isFinal;
+        this.onresult({ results: [result] });
+    }
+
+    fireError(error) {
+        this.onerror({ error: error });
+    }
+
+    fireEnd() {
+        this.running = false;
+        this.onend();
+    }
+}
+FakeSpeechRecognition.instances = [];
+
+export class FakeUtterance {
+    constructor(text) {
+        this.text = text;
+        this.lang = '';
+        this.voice = null;
+        this.onend = null;
+        this.onerror = null;
+    }
+}
+
+// speechSynthesis where each utterance finishes when the test calls finish()
+export class FakeSpeechSynthesis {
+    constructor(voices = []) {
+        this.voices = voices;
+        this.spoken = [];
+        this.current = null;
+        this.cancelled = 0;
+    }
+
+    getVoices() {
+        return this.voices;
+    }
+
+    speak(utterance) {
+        this.spoken.push(utterance);
+        this.current = utterance;
+    }
+
+    cancel() {
+        this.cancelled++;
+        const utterance = this.current;
+        this.current = null;
+        if (utterance && utterance.onerror) {
+            utterance.onerror({ error: 'interrupted' });
+        }
+    }
+
+    finish() {
+        const utterance = this.current;
+        this.current = null;
+        if (utterance && utterance.onend) {
+            utterance.onend();
+        }
+    }
+
+    fail(error) {
+        const utterance = this.current;
+        this.current = null;
+        if (utterance && utterance.onerror) {
+            utterance.onerror({ error: error });
+        }
+    }
+}
+
+// An <audio> element that plays to the end as soon as it's started
+export class FakeAudio {
+    constructor(src) {
+        this.src = src;
+        this.paused = true;
+        FakeAudio.instances.push(this);
+    }
+
+    async play() {
+        this.paused = false;
+        setImmediate(() => this.onended && this.onended());
+    }
+
+    pause() {
+        this.paused = true;
+    }
+}
+FakeAudio.instances = [];
+
+export class FakeTrack {
+    constructor(options = {}) {
+        this.capabilities = options.capabilities || {};
+        this.settings = { facingMode: options.facingMode, zoom: options.zoom };
+        this.stopped = false;
+        this.applied = [];
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    getCapabilities() {
+        return this.capabilities;
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    async applyConstraints(constraints) {
+        this.applied.push(constraints);
+        constraints.advanced.forEach(constraint => Object.assign(this.settings, constraint));
+    }
+}
+
+// navigator.mediaDevices with a configurable set of cameras
+export class FakeMediaDevices {
+    // cameras: facing modes of the available cameras. options: { capabilities, error }
+    constructor(cameras = ['environment'], options = {}) {
+        this.cameras = cameras;
+        this.capabilities = options.capabilities || {};
+        this.error = options.error || null;
+        this.requests = [];
+        this.tracks = [];
+    }
+
+    async getUserMedia(constraints) {
+        this.requests.push(constraints);
+        if (this.error) {
+            throw this.error;
+        }
+
+        const wanted = constraints.video.facingMode.ideal;
+        const facing = this.cameras.includes(wanted) ? wanted : this.cameras[0];
+        const track = new FakeTrack({ facingMode: facing, capabilities: this.capabilities, zoom: this.capabilities.zoom && this.capabilities.zoom.min });
+        this.tracks.push(track);
+
+        return {
+            getTracks: () => [track],
+            getVideoTracks: () => [track]
+        };
+    }
+
+    async enumerateDevices() {
+        return this.cameras.map(facing => ({ kind: 'videoinput', label: facing }));
+    }
+}
+
+// localStorage stand-in
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// A canvas whose frames are all the same plain grey - usable, and always the same hash.
+// Lower the brightness for a frame that is too dark.
+export class FakeCanvas {
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.brightness = 128;
+    }
+
+    getContext() {
+        return {
+            drawImage: () => {},
+            getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(this.brightness) })
+        };
+    }
+
+    toDataURL() {
+        return 'data:image/jpeg;base64,' + 'A'.repeat(400);
+    }
+}
+
+// Just the document the app controller needs: a playing video and nothing else on the page
+export class FakeDocument {
+    constructor() {
+        this.documentElement = { lang: '' };
+        this.elements = { video: { videoWidth: 1280, videoHeight: 720, srcObject: null } };
+        this.listeners = [];
+    }
+
+    getElementById(id) {
+        return this.elements[id] || null;
+    }
+
+    createElement(name) {
+        return name === 'canvas' ? new FakeCanvas() : {};
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push({ type: type, listener: listener });
+    }
+}
+
+// window with the deployment's ENV and a desktop browser's navigator
+export class FakeWindow {
+    constructor(env = {}) {
+        this.ENV = env;
+        this.navigator = { userAgent: 'Mozilla/5.0 (X11; Linux x86_64)' };
+        this.listeners = [];
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push({ type: type, listener: listener });
+    }
+
+    matchMedia() {
+        return { matches: false };
+    }
+}
+
+// fetch that answers from a list of responses, one per call, and records the requests.
+// A response is { status, body, headers }, an Error to reject with, or a (possibly async)
+// function of (url, init) that returns one.
+export function createFakeFetch(responses) {
+    const queue = [...responses];
+
+    const fakeFetch = async (url, init = {}) => {
+        fakeFetch.calls.push({ url: url, init: init });
+        let next = queue.length > 1 ? queue.shift() : queue[0];
+        if (typeof next === 'function') {
+            next = await next(url, init);
+        }
+        if (next instanceof Error) {
+            throw next;
+        }
+        return fakeResponse(next);
+    };
+    fakeFetch.calls = [];
+
+    return fakeFetch;
+}
+
+export function fakeResponse({ status = 200, body = '', headers = {} } = {}) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return new Response(status === 204 ? null : text, { status: status, headers: headers });
+}
+
+// A streamed chat-completions response made of these text pieces, with a last usage
+// chunk as OpenAI sends it for stream_options.include_usage
+export function streamedCompletion(pieces, usage = null) {
+    const lines = pieces.map(piece => `data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+    if (usage) {
+        lines.push(`data: ${JSON.stringify({ model: 'gpt-4o-2024-08-06', choices: [], usage: usage })}\n\n`);
+    }
+    lines.push('data: [DONE]\n\n');
+    return lines.join('');
+}
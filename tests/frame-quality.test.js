@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FRAME_ISSUES, analyzeFrame, boundsToRegion, toGrayscale } from '../web/frame-quality.js';
+
+const WIDTH = 160;
+const HEIGHT = 120;
+const THRESHOLDS = { minBrightness: 35, maxBrightness: 225, minSharpness: 40, minContrast: 20 };
+
+function frame(shade) {
+    const gray = new Uint8ClampedArray(WIDTH * HEIGHT);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            gray[y * WIDTH + x] = shade(x, y);
+        }
+    }
+    return gray;
+}
+
+// A light page with some print on it, lying on a dark table
+function page(left, top, right, bottom) {
+    return frame((x, y) => {
+        const onPage = x >= left && x <= right && y >= top && y <= bottom;
+        return onPage ? ((x + y) % 7 === 0 ? 60 : 220) : 40;
+    });
+}
+
+function check(gray, options = {}) {
+    return analyzeFrame(gray, WIDTH, HEIGHT, { ...THRESHOLDS, ...options });
+}
+
+test('rejects frames that are too dark or too bright', () => {
+    assert.deepEqual(check(frame(() => 10)).issues, [FRAME_ISSUES.TOO_DARK]);
+    assert.deepEqual(check(frame(() => 250)).issues, [FRAME_ISSUES.TOO_BRIGHT]);
+});
+
+test('a smooth frame with contrast is blurry, a plain wall is not', () => {
+    assert.deepEqual(check(frame(x => 40 + x)).issues, [FRAME_ISSUES.BLURRY]);
+    assert.equal(check(frame(() => 120)).usable, true);
+});
+
+test('a page fully in view is usable and cropped to', () => {
+    const result = check(page(30, 20, 130, 100), { checkDocument: true });
+
+    assert.equal(result.usable, true);
+    assert.deepEqual(result.bounds, { top: 20, left: 30, bottom: 100, right: 130 });
+    assert.ok(result.region.x < 30 / WIDTH && result.region.width > 100 / WIDTH);
+});
+
+test('guides the camera towards a badly framed page', () => {
+    assert.deepEqual(check(page(0, 20, 100, 100), { checkDocument: true }).issues, [FRAME_ISSUES.MOVE_LEFT]);
+    assert.deepEqual(check(page(0, 20, 159, 100), { checkDocument: true }).issues, [FRAME_ISSUES.MOVE_BACK]);
+    assert.deepEqual(check(page(70, 50, 90, 65), { checkDocument: true }).issues, [FRAME_ISSUES.MOVE_CLOSER]);
+});
+
+test('the crop region never leaves the frame', () => {
+    const region = boundsToRegion({ top: 0, left: 0, bottom: HEIGHT - 1, right: WIDTH - 1 }, WIDTH, HEIGHT);
+
+    assert.deepEqual(region, { x: 0, y: 0, width: 1, height: 1 });
+});
+
+test('converts RGBA to luminance', () => {
+    assert.deepEqual(Array.from(toGrayscale([255, 255, 255, 255, 0, 0, 0, 255, 255, 0, 0, 255])), [255, 0, 76]);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COMMAND_PHRASES, MESSAGES, extractCommandArgument, findLanguageRequest, matchesCommand, normalizeText, translate } from '../web/i18n.js';
+import { EchoFilter, extractAfterWakeWord } from '../web/activation.js';
+
+test('every language has every message and command', () => {
+    Object.keys(MESSAGES).forEach(language => {
+        assert.deepEqual(Object.keys(MESSAGES[language]).sort(), Object.keys(MESSAGES.en).sort(), `messages in ${language}`);
+        assert.deepEqual(Object.keys(COMMAND_PHRASES[language]).sort(), Object.keys(COMMAND_PHRASES.en).sort(), `commands in ${language}`);
+    });
+});
+
+test('fills in message parameters', () => {
+    assert.equal(translate('en', 'errorQuota', { service: 'OpenAI' }), 'The OpenAI account has run out of credit.');
+    assert.equal(translate('en', 'noSuchMessage'), 'noSuchMessage');
+});
+
+test('commands match whole words regardless of accents and case', () => {
+    assert.equal(normalizeText('¿Qué PONE?'), 'que pone');
+    assert.equal(matchesCommand('es', 'readText', '¿Qué pone?'), true);
+    assert.equal(matchesCommand('en', 'help', 'Help!'), true);
+    assert.equal(matchesCommand('en', 'help', 'is this helpful'), false);
+    assert.equal(matchesCommand('es', 'stop', 'para que sirve esto'), false);
+});
+
+test('extracts what to find in the original wording', () => {
+    assert.equal(extractCommandArgument('en', 'findObject', 'Where are my glasses?'), 'glasses');
+    assert.equal(extractCommandArgument('es', 'findObject', 'busca mi cartera de piel, por favor'), 'cartera de piel');
+    assert.equal(extractCommandArgument('es', 'findObject', 'encuentra el cargador del móvil'), 'cargador del móvil');
+    assert.equal(extractCommandArgument('en', 'findObject', 'what is this'), null);
+});
+
+test('language requests are understood in any language', () => {
+    assert.equal(findLanguageRequest('speak Spanish'), 'es');
+    assert.equal(findLanguageRequest('habla inglés'), 'en');
+    assert.equal(findLanguageRequest('Español'), 'es');
+    assert.equal(findLanguageRequest('speak slowly'), null);
+});
+
+test('finds the command after the wake word', () => {
+    assert.deepEqual(extractAfterWakeWord('hey Assistant, ¿qué hay delante?', ['assistant']), { heard: true, command: 'qué hay delante?' });
+    assert.deepEqual(extractAfterWakeWord('what is this', ['assistant']), { heard: false, command: '' });
+});
+
+test('recognises the assistant hearing itself', () => {
+    let now = 0;
+    const filter = new EchoFilter({ now: () => now });
+    filter.startSpeaking();
+    filter.remember('There is a table on the left.');
+
+    assert.equal(filter.isEcho('a table on the left'), true);
+    assert.equal(filter.isEcho('what is on the table?'), false);
+
+    filter.stopSpeaking();
+    now += 500;
+    assert.equal(filter.isEcho('a table on the left'), true, 'still in the tail');
+    now += 1000;
+    assert.equal(filter.isEcho('a table on the left'), false, 'the user said it');
+});
+
+test('commands the assistant just suggested are heard once it has finished', () => {
+    let now = 0;
+    const filter = new EchoFilter({ now: () => now });
+    const suggestions = [
+        ['guideOn', 'stop guide mode'],
+        ['guideOn', 'Assistant stop guide mode'],
+        ['readingHint', 'spell that'],
+        ['help', "Assistant, what's in front of me?"]
+    ];
+
+    suggestions.forEach(([message, command]) => {
+        filter.startSpeaking();
+        filter.remember(translate('en', message));
+        filter.stopSpeaking();
+        now += 2000;
+
+        assert.equal(filter.isEcho(command), false, command);
+        now += 60000;
+    });
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ObjectFinder, compareCloseness, parseFindObservation } from '../web/object-finder.js';
+
+function seen(distance, position = 'center', area = 0.1, withinReach = false) {
+    return { visible: true, position, distance, area, withinReach };
+}
+
+test('parses the model reply with safe defaults', () => {
+    assert.equal(parseFindObservation('not json'), null);
+    assert.deepEqual(parseFindObservation('{"visible": true, "position": "up", "distance": "near", "area": 3, "within_reach": true}'), {
+        visible: true,
+        position: 'center',
+        distance: 'near',
+        area: 1,
+        withinReach: true
+    });
+    assert.equal(parseFindObservation('{"visible": "yes"}').visible, false);
+});
+
+test('closer means a nearer distance, a bigger object or moving into the centre', () => {
+    assert.ok(compareCloseness(seen('far'), seen('medium')) > 0);
+    assert.ok(compareCloseness(seen('near'), seen('far')) < 0);
+    assert.ok(compareCloseness(seen('medium', 'center', 0.1), seen('medium', 'center', 0.2)) > 0);
+    assert.ok(compareCloseness(seen('medium', 'left'), seen('medium', 'center')) > 0);
+    assert.equal(compareCloseness(seen('medium', 'center', 0.1), seen('medium', 'center', 0.11)), 0);
+});
+
+test('turns successive sightings into guidance', () => {
+    const finder = new ObjectFinder('keys');
+
+    assert.equal(finder.update({ visible: false }).type, 'silent');
+    assert.equal(finder.update(seen('far', 'left')).type, 'seen');
+    assert.equal(finder.update(seen('medium', 'left')).type, 'warmer');
+    assert.equal(finder.update(seen('far', 'left')).type, 'colder');
+    assert.equal(finder.update(null).type, 'lost');
+    assert.equal(finder.update(null).type, 'silent');
+    assert.equal(finder.update(null).type, 'notYet');
+    assert.equal(finder.update(seen('medium')).type, 'seen', 'found again after losing it');
+    assert.deepEqual(finder.update(seen('near', 'right', 0.4, true)), { type: 'found', position: 'right', distance: 'near' });
+});
+
+test('times out', () => {
+    const finder = new ObjectFinder('keys', { timeoutMs: 1000 });
+
+    assert.equal(finder.isTimedOut(finder.startedAt + 999), false);
+    assert.equal(finder.isTimedOut(finder.startedAt + 1000), true);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    API_ERROR_KINDS, ApiError, classifyFailure, fetchWithRetry, parseRetryAfter, readWithTimeout, serverTimingMs
+} from '../web/request.js';
+import { createFakeFetch, fakeResponse } from './fakes.js';
+
+test('classifies failures by status and error code', () => {
+    assert.equal(classifyFailure(401), API_ERROR_KINDS.INVALID_KEY);
+    assert.equal(classifyFailure(400, 'invalid_api_key'), API_ERROR_KINDS.INVALID_KEY);
+    assert.equal(classifyFailure(500, 'missing_key'), API_ERROR_KINDS.INVALID_KEY);
+    assert.equal(classifyFailure(429, 'insufficient_quota'), API_ERROR_KINDS.QUOTA);
+    assert.equal(classifyFailure(402), API_ERROR_KINDS.QUOTA);
+    assert.equal(classifyFailure(429), API_ERROR_KINDS.RATE_LIMITED);
+    assert.equal(classifyFailure(504), API_ERROR_KINDS.TIMEOUT);
+    assert.equal(classifyFailure(503), API_ERROR_KINDS.SERVER);
+    assert.equal(classifyFailure(422), API_ERROR_KINDS.BAD_REQUEST);
+});
+
+test('reads Retry-After as seconds or a date', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('0'), 0);
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('not a date'), null);
+
+    const inFiveSeconds = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(inFiveSeconds > 3000 && inFiveSeconds <= 5000);
+    assert.equal(parseRetryAfter(new Date(0).toUTCString()), 0);
+});
+
+test('reads a duration from Server-Timing', () => {
+    const response = fakeResponse({ headers: { 'Server-Timing': 'cache;desc="miss", upstream;dur=1234.5' } });
+
+    assert.equal(serverTimingMs(response, 'upstream'), 1234.5);
+    assert.equal(serverTimingMs(response, 'cache'), null);
+    assert.equal(serverTimingMs(fakeResponse(), 'upstream'), null);
+});
+
+test('retries a busy server, then returns the response', async () => {
+    const fetch = createFakeFetch([{ status: 503 }, { status: 503 }, { body: { ok: true } }]);
+
+    const response = await fetchWithRetry('/api/vision', {}, { fetch, backoffMs: 1 });
+
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(fetch.calls.length, 3);
+});
+
+test('gives up after the last retry with the kind of failure', async () => {
+    const fetch = createFakeFetch([{ status: 429, headers: { 'Retry-After': '0' } }]);
+
+    await assert.rejects(fetchWithRetry('/api/vision', {}, { fetch, retries: 1, service: 'OpenAI' }), error => {
+        assert.ok(error instanceof ApiError);
+        assert.equal(error.kind, API_ERROR_KINDS.RATE_LIMITED);
+        assert.equal(error.service, 'OpenAI');
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfterMs, 0);
+        return true;
+    });
+    assert.equal(fetch.calls.length, 2);
+});
+
+test('does not retry a rejected key', async () => {
+    const fetch = createFakeFetch([{ status: 401, body: { error: { code: 'invalid_api_key' } } }]);
+
+    await assert.rejects(fetchWithRetry('/api/vision', {}, { fetch }), { kind: API_ERROR_KINDS.INVALID_KEY });
+    assert.equal(fetch.calls.length, 1);
+});
+
+test('network failures become retryable ApiErrors', async () => {
+    const fetch = createFakeFetch([new TypeError('Failed to fetch'), { body: 'fine' }]);
+
+    const response = await fetchWithRetry('/api/speak', {}, { fetch, backoffMs: 1 });
+    assert.equal(await response.text(), 'fine');
+
+    const failing = createFakeFetch([new TypeError('Failed to fetch')]);
+    await assert.rejects(fetchWithRetry('/api/speak', {}, { fetch: failing, retries: 0 }), { kind: API_ERROR_KINDS.NETWORK });
+});
+
+test('times out when the server does not answer', async () => {
+    const hanging = (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    });
+
+    await assert.rejects(fetchWithRetry('/api/vision', {}, { fetch: createFakeFetch([hanging]), timeoutMs: 5, retries: 0 }),
+        { kind: API_ERROR_KINDS.TIMEOUT });
+});
+
+test('a cancelled request rejects as fetch does, without retrying', async () => {
+    const controller = new AbortController();
+    const fetch = createFakeFetch([(url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+        controller.abort();
+    })]);
+
+    await assert.rejects(fetchWithRetry('/api/vision', { signal: controller.signal }, { fetch }), { name: 'AbortError' });
+    assert.equal(fetch.calls.length, 1);
+});
+
+test('readWithTimeout gives up on a stalled stream', async () => {
+    let cancelled = false;
+    const reader = {
+        read: () => new Promise(() => {}),
+        cancel: async () => { cancelled = true; }
+    };
+
+    await assert.rejects(readWithTimeout(reader, 5, 'OpenAI'), { kind: API_ERROR_KINDS.TIMEOUT });
+    assert.equal(cancelled, true);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResponseCache } from '../web/response-cache.js';
+import { Conversation } from '../web/conversation.js';
+import { hashDistance, perceptualHash } from '../web/frame-quality.js';
+
+const WIDTH = 160;
+const HEIGHT = 120;
+
+function frame(shade) {
+    const gray = new Uint8ClampedArray(WIDTH * HEIGHT);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            gray[y * WIDTH + x] = shade(x, y);
+        }
+    }
+    return gray;
+}
+
+// A scene with a bright window on the left, dimmer towards the right
+const scene = (x, y) => (x < 50 && y < 60 ? 220 : 160 - x / 2 + (y % 10));
+
+test('near-identical frames hash alike, different scenes do not', () => {
+    const hash = perceptualHash(frame(scene), WIDTH, HEIGHT);
+    assert.match(hash, /^[0-9a-f]{16}$/);
+
+    // Sensor noise and a little less light
+    const noisy = perceptualHash(frame((x, y) => scene(x, y) * 0.95 + ((x * 7 + y * 13) % 5)), WIDTH, HEIGHT);
+    assert.ok(hashDistance(hash, noisy) <= 5);
+
+    // The camera turned: the window is on the right now
+    const turned = perceptualHash(frame((x, y) => scene(WIDTH - 1 - x, y)), WIDTH, HEIGHT);
+    assert.ok(hashDistance(hash, turned) > 20);
+});
+
+test('counts the bits two hashes differ in', () => {
+    assert.equal(hashDistance('00ff', '00ff'), 0);
+    assert.equal(hashDistance('0000', '000f'), 4);
+    assert.equal(hashDistance('0000', null), Infinity);
+});
+
+function setup(options = {}) {
+    const clock = { now: 0 };
+    const cache = new ResponseCache({ now: () => clock.now, ...options });
+    return { cache, clock };
+}
+
+test('answers the same question about a similar frame from the cache', () => {
+    const { cache } = setup();
+    cache.set('00000000000000ff', 'What is in front of me?', 'A door.');
+
+    assert.equal(cache.get('00000000000000fe', '  what is in front of me '), 'A door.');
+    assert.equal(cache.get('00000000000000ff', 'Is the door open?'), null);
+    assert.equal(cache.get('ffffffffffffffff', 'What is in front of me?'), null, 'the camera moved');
+    assert.deepEqual(cache.stats, { hits: 1, misses: 2 });
+    assert.equal(Math.round(cache.hitRate * 100), 33);
+});
+
+test('results expire', () => {
+    const { cache, clock } = setup({ ttlMs: 1000 });
+    cache.set('00000000000000ff', 'What is this?', 'A mug.');
+
+    clock.now = 500;
+    assert.equal(cache.get('00000000000000ff', 'What is this?'), 'A mug.');
+
+    clock.now = 1000;
+    assert.equal(cache.get('00000000000000ff', 'What is this?'), null);
+});
+
+test('frames without a hash are never cached', () => {
+    const { cache } = setup();
+    cache.set(null, 'What is this?', 'A mug.');
+
+    assert.equal(cache.get(null, 'What is this?'), null);
+    assert.equal(cache.entries.length, 0);
+});
+
+test('keeps a bounded number of entries and can be cleared', () => {
+    const { cache } = setup({ maxEntries: 2 });
+    ['One?', 'Two?', 'Three?'].forEach(question => cache.set('00000000000000ff', question, question));
+
+    assert.equal(cache.get('00000000000000ff', 'One?'), null);
+    assert.equal(cache.get('00000000000000ff', 'Three?'), 'Three?');
+
+    cache.clear();
+    assert.equal(cache.get('00000000000000ff', 'Three?'), null);
+});
+
+test('the same follow-up after a different conversation is another question', () => {
+    const { cache } = setup();
+    const conversation = new Conversation({ timers: { setTimeout: () => 1, clearTimeout: () => {} } });
+
+    conversation.remember('What is on the table?', 'A red mug.');
+    conversation.remember('What colour is it?', 'It is red.');
+    cache.set('00000000000000ff', 'What colour is it?', 'It is red.', { context: conversation.digest });
+    assert.equal(cache.get('00000000000000ff', 'What colour is it?', { context: conversation.digest }), 'It is red.',
+        'asked again straight away');
+
+    conversation.remember('What is on the chair?', 'A blue cushion.');
+    assert.equal(cache.get('00000000000000ff', 'What colour is it?', { context: conversation.digest }), null);
+    assert.equal(cache.get('00000000000000ff', 'What colour is it?'), null, 'nor without a conversation');
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpeechInput } from '../web/speech-input.js';
+import { FakeSpeechRecognition, FakeTimers } from './fakes.js';
+
+function setup(options = {}) {
+    const timers = new FakeTimers();
+    const state = { speaking: false, results: [], errors: [] };
+    const input = new SpeechInput({
+        SpeechRecognition: FakeSpeechRecognition,
+        timers: timers,
+        isSpeaking: () => state.speaking,
+        onResult: transcript => state.results.push(transcript),
+        onError: error => state.errors.push(error),
+        ...options
+    });
+    return { input, timers, state, recognition: input.recognition };
+}
+
+test('reports why recognition is unavailable', () => {
+    const unsupported = new SpeechInput({ SpeechRecognition: null });
+    assert.equal(unsupported.available, false);
+    assert.equal(unsupported.unavailableReason, 'unsupported');
+
+    const failing = new SpeechInput({ SpeechRecognition: class { constructor() { throw new Error('blocked'); } } });
+    assert.equal(failing.available, false);
+    assert.equal(failing.unavailableReason, 'failed');
+
+    // Calls on an unavailable input are harmless
+    unsupported.startContinuous();
+    unsupported.pause();
+    unsupported.stop();
+});
+
+test('passes on final results only', () => {
+    const { recognition, state } = setup();
+
+    recognition.fireResult('what is', false);
+    recognition.fireResult('  what is in front of me  ');
+
+    assert.deepEqual(state.results, ['what is in front of me']);
+});
+
+test('restarts when recognition ends by itself', () => {
+    const { input, timers, recognition } = setup();
+
+    input.startContinuous();
+    assert.equal(recognition.started, 1);
+    assert.equal(input.isListening, true);
+
+    recognition.fireEnd();
+    assert.equal(input.isListening, false);
+
+    timers.advance(999);
+    assert.equal(recognition.started, 1);
+    timers.advance(1);
+    assert.equal(recognition.started, 2);
+    assert.equal(input.isListening, true);
+});
+
+test('does not restart while the app is speaking, then resumes after it', () => {
+    const { input, timers, state, recognition } = setup();
+
+    input.startContinuous();
+    state.speaking = true;
+    input.pause();
+    assert.equal(recognition.stopped, 1);
+
+    recognition.fireEnd();
+    timers.advance(5000);
+    assert.equal(recognition.started, 1, 'must not listen to its own voice');
+
+    state.speaking = false;
+    input.resumeAfterSpeech();
+    timers.advance(1499);
+    assert.equal(recognition.started, 1);
+    timers.advance(1);
+    assert.equal(recognition.started, 2);
+});
+
+test('does not resume if speaking started again in the meantime', () => {
+    const { input, timers, state, recognition } = setup();
+
+    input.startContinuous();
+    recognition.fireEnd();
+    state.speaking = true;
+    timers.advance(1000);
+    assert.equal(recognition.started, 1);
+
+    input.resumeAfterSpeech();
+    timers.advance(1500);
+    assert.equal(recognition.started, 1);
+});
+
+test('stop() ends continuous listening for good', () => {
+    const { input, timers, recognition } = setup();
+
+    input.startContinuous();
+    input.stop();
+    assert.equal(input.continuous, false);
+    assert.equal(recognition.stopped, 1);
+
+    recognition.fireEnd();
+    input.resumeAfterSpeech();
+    timers.advance(10000);
+    assert.equal(recognition.started, 1);
+});
+
+test('treats "already started" as listening instead of retrying', () => {
+    const { input, timers, recognition } = setup();
+
+    recognition.failNextStart = new Error('recognition has already started');
+    input.startContinuous();
+
+    assert.equal(input.isListening, true);
+    timers.advance(10000);
+    assert.equal(recognition.started, 0);
+});
+
+test('retries when start() fails for another reason', () => {
+    const { input, timers, recognition } = setup();
+
+    recognition.failNextStart = new Error('not-allowed');
+    input.startContinuous();
+    assert.equal(input.isListening, false);
+
+    timers.advance(2000);
+    assert.equal(recognition.started, 1);
+    assert.equal(input.isListening, true);
+});
+
+test('errors are reported and end listening', () => {
+    const { input, recognition, state } = setup();
+
+    input.startContinuous();
+    recognition.fireError('no-speech');
+
+    assert.deepEqual(state.errors, ['no-speech']);
+    assert.equal(input.isListening, false);
+});
+
+test('push to talk never listens continuously', () => {
+    const { input, timers, recognition } = setup();
+    input.pushToTalk = true;
+
+    input.startContinuous();
+    assert.equal(recognition.started, 0);
+
+    input.holdStart();
+    assert.equal(recognition.started, 1);
+
+    input.holdEnd();
+    timers.advance(299);
+    assert.equal(recognition.stopped, 0, 'the last words still need to arrive');
+    timers.advance(1);
+    assert.equal(recognition.stopped, 1);
+
+    // Holding again before the tail ran out keeps listening
+    recognition.fireEnd();
+    input.holdStart();
+    input.holdEnd();
+    input.holdStart();
+    timers.advance(300);
+    assert.equal(recognition.stopped, 1);
+});
+
+test('restarts periodically on mobile', () => {
+    const { input, timers, recognition } = setup({ isMobile: true });
+
+    input.startContinuous();
+    timers.advance(20000);
+    assert.equal(recognition.stopped, 1);
+
+    recognition.running = false;
+    timers.advance(200);
+    assert.equal(recognition.started, 2);
+
+    // Stopping clears the periodic restart
+    input.stop();
+    recognition.running = false;
+    timers.advance(60000);
+    assert.equal(recognition.started, 2);
+});
+
+test('language changes apply to the next start', () => {
+    const { input, recognition } = setup({ language: 'en-US' });
+    assert.equal(recognition.lang, 'en-US');
+
+    input.setLanguage('es-ES');
+    assert.equal(recognition.lang, 'es-ES');
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpeechOutput } from '../web/speech-output.js';
+import { ElevenLabsSpeechEngine, SPEECH_PRIORITY, SentenceChunker, WebSpeechEngine } from '../web/speech-engines.js';
+import { FakeAudio, FakeSpeechSynthesis, FakeUtterance, createFakeFetch } from './fakes.js';
+
+// Lets the queue's promise chain move on to the next item
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function setup(voices = []) {
+    const synth = new FakeSpeechSynthesis(voices);
+    const events = [];
+    const output = new SpeechOutput({ engine: 'browser', language: 'en-US', synth: synth, Utterance: FakeUtterance }, {
+        gapMs: 0,
+        onStart: () => events.push('start'),
+        onIdle: () => events.push('idle'),
+        onSpoken: text => events.push(`spoken:${text}`)
+    });
+    return { output, synth, events };
+}
+
+test('speaks through speechSynthesis in order', async () => {
+    const { output, synth, events } = setup();
+
+    const first = output.speak('Hello.');
+    const second = output.speak('Goodbye.');
+    await settle();
+    assert.equal(output.isSpeaking, true);
+    assert.deepEqual(synth.spoken.map(utterance => utterance.text), ['Hello.']);
+    assert.equal(synth.spoken[0].lang, 'en-US');
+
+    synth.finish();
+    assert.deepEqual(await first, { spoken: true });
+    await settle();
+    assert.deepEqual(synth.spoken.map(utterance => utterance.text), ['Hello.', 'Goodbye.']);
+
+    synth.finish();
+    assert.deepEqual(await second, { spoken: true });
+    await settle();
+    assert.equal(output.isSpeaking, false);
+    assert.deepEqual(events, ['start', 'spoken:Hello.', 'spoken:Goodbye.', 'idle']);
+});
+
+test('drops chatter while busy', async () => {
+    const { output, synth } = setup();
+
+    output.speak('An answer.');
+    const chatter = await output.speak('Hold the camera still.', { priority: SPEECH_PRIORITY.CHATTER });
+
+    assert.deepEqual(chatter, { spoken: false, reason: 'dropped' });
+    await settle();
+    synth.finish();
+});
+
+test('a hazard interrupts an answer, which is said again afterwards', async () => {
+    const { output, synth } = setup();
+
+    const answer = output.speak('There is a table ahead.');
+    output.speak('It has two chairs.');
+    output.speak('A lamp is on it.');
+    await settle();
+    output.speak('Stairs going down!', { priority: SPEECH_PRIORITY.HAZARD });
+    await settle();
+
+    assert.deepEqual(synth.spoken.map(utterance => utterance.text), ['There is a table ahead.', 'Stairs going down!']);
+    synth.finish();
+    await settle();
+
+    assert.equal(synth.spoken[2].text, 'There is a table ahead.');
+    synth.finish();
+    assert.deepEqual(await answer, { spoken: true });
+
+    for (let i = 0; i < 2; i++) {
+        await settle();
+        synth.finish();
+    }
+    assert.deepEqual(synth.spoken.slice(3).map(utterance => utterance.text), ['It has two chairs.', 'A lamp is on it.']);
+});
+
+test('cancelAll stops the current utterance and clears the queue', async () => {
+    const { output, synth } = setup();
+
+    const first = output.speak('One.');
+    const second = output.speak('Two.');
+    await settle();
+    output.cancelAll();
+
+    assert.equal(synth.cancelled, 1);
+    assert.deepEqual(await first, { spoken: false, reason: 'cancelled' });
+    assert.deepEqual(await second, { spoken: false, reason: 'cancelled' });
+});
+
+test('reports speech errors instead of hanging', async () => {
+    const { output, synth } = setup();
+
+    const result = output.speak('Hello.');
+    await settle();
+    synth.fail('synthesis-failed');
+
+    const { spoken, reason } = await result;
+    assert.equal(spoken, false);
+    assert.equal(reason, 'error');
+});
+
+test('configure swaps the engine and setLanguage reaches it', async () => {
+    const { output } = setup();
+
+    output.configure({ engine: 'mock', language: 'en-US' });
+    assert.equal(output.engine.name, 'Mock');
+
+    output.setLanguage('es-ES');
+    assert.equal(output.engine.language, 'es-ES');
+});
+
+test('ElevenLabs falls back to the device voice', () => {
+    const synth = new FakeSpeechSynthesis();
+    const output = new SpeechOutput({ engine: 'elevenlabs', language: 'en-US', synth: synth, Utterance: FakeUtterance });
+
+    assert.equal(output.engine.name, 'ElevenLabs');
+    assert.ok(output.queue.fallbackEngine instanceof WebSpeechEngine);
+    assert.equal(output.queue.fallbackEngine.synth, synth);
+});
+
+test('ElevenLabs gets the text in a POST body, never in a URL', async () => {
+    const fetch = createFakeFetch([{ body: 'mp3 data', headers: { 'Content-Type': 'audio/mpeg' } }]);
+    const engine = new ElevenLabsSpeechEngine({ fetch: fetch, Audio: FakeAudio, MediaSource: null });
+
+    await engine.speak('Your keys are on the table.');
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(fetch.calls[0].url, '/api/tts');
+    assert.equal(fetch.calls[0].init.method, 'POST');
+    assert.equal(JSON.parse(fetch.calls[0].init.body).text, 'Your keys are on the table.');
+    assert.match(FakeAudio.instances.at(-1).src, /^blob:/);
+});
+
+test('ElevenLabs characters only count once the request went through', async () => {
+    const usage = [];
+    const fetch = createFakeFetch([{ status: 401, body: { detail: { status: 'invalid_api_key' } } }, { body: 'mp3 data' }]);
+    const engine = new ElevenLabsSpeechEngine({ fetch: fetch, Audio: FakeAudio, MediaSource: null, onUsage: entry => usage.push(entry) });
+
+    await assert.rejects(engine.speak('Rejected.'));
+    assert.deepEqual(usage, []);
+
+    await engine.speak('Spoken.');
+    assert.deepEqual(usage, [{ service: 'ElevenLabs', characters: 7 }]);
+});
+
+test('picks a voice in the right language', () => {
+    const voices = [
+        { name: 'Microsoft David', lang: 'en-US' },
+        { name: 'Google español', lang: 'es_ES' },
+        { name: 'Paulina', lang: 'es-MX' }
+    ];
+    const engine = new WebSpeechEngine({ language: 'es-ES', synth: new FakeSpeechSynthesis(voices), Utterance: FakeUtterance });
+    assert.equal(engine.pickVoice().name, 'Google español');
+
+    engine.voiceName = 'Paulina';
+    assert.equal(engine.pickVoice().name, 'Paulina');
+});
+
+test('SentenceChunker releases whole sentences as they stream in', () => {
+    const chunker = new SentenceChunker();
+
+    assert.deepEqual(chunker.push('There is a ta'), []);
+    assert.deepEqual(chunker.push('ble. It costs 3.5 euros'), ['There is a table.']);
+    assert.deepEqual(chunker.push('! And a door'), ['It costs 3.5 euros!']);
+    assert.equal(chunker.flush(), 'And a door');
+});
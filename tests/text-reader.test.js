@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TextReader, paginateText, spellOut } from '../web/text-reader.js';
+
+test('pages break between lines, and between words in long lines', () => {
+    assert.deepEqual(paginateText('One\n\n  Two  \nThree', 8), ['One\nTwo', 'Three']);
+    assert.deepEqual(paginateText('a very long line of text', 10), ['a very', 'long line', 'of text']);
+});
+
+test('steps through pages and knows the last line read', () => {
+    const reader = new TextReader('Title\nFirst line\nSecond line', { pageSize: 16 });
+
+    assert.equal(reader.pageCount, 2);
+    assert.equal(reader.page, 'Title\nFirst line');
+    assert.equal(reader.lastLine(), 'First line');
+    assert.equal(reader.previous(), null);
+
+    assert.equal(reader.next(), 'Second line');
+    assert.equal(reader.pageNumber, 2);
+    assert.equal(reader.hasNext(), false);
+    assert.equal(reader.next(), null);
+});
+
+test('spells out characters, naming the ones speech would skip', () => {
+    assert.equal(spellOut(' Lot 4B ', { ' ': 'space' }), 'L, o, t, space, 4, B');
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { USAGE_LEVELS, UsageMeter, formatCost } from '../web/usage-meter.js';
+import { completionUsage } from '../api/_usage.js';
+
+// Storage that survives a "reload", i.e. a new meter on the same storage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const MORNING = new Date(2026, 9, 19, 9, 0).getTime();
+const NEXT_MORNING = new Date(2026, 9, 20, 9, 0).getTime();
+
+test('adds up tokens and characters with a cost estimate', () => {
+    const meter = new UsageMeter({ storage: null, now: () => MORNING });
+
+    meter.recordVision({ service: 'OpenAI', model: 'gpt-4o-2024-08-06', promptTokens: 1000, completionTokens: 100 });
+    meter.recordVision({ service: 'OpenAI', model: 'gpt-4o-mini', promptTokens: 1000, completionTokens: 100 });
+    meter.recordVision({ service: 'OpenAI-compatible', model: 'llava', promptTokens: 1000, completionTokens: 100 });
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 1000 });
+    meter.recordSpeech({ service: 'Device', characters: 500 });
+
+    const today = meter.today();
+    assert.equal(today.vision.requests, 3);
+    assert.equal(today.vision.promptTokens, 3000);
+    assert.equal(today.speech.characters, 1500);
+    // gpt-4o 0.0035 + gpt-4o-mini 0.00021 + a self-hosted model for free, and ElevenLabs 0.30
+    assert.ok(Math.abs(today.vision.cost - 0.00371) < 1e-9);
+    assert.ok(Math.abs(today.cost - 0.30371) < 1e-9);
+});
+
+test('warns near the budget and goes over it once', () => {
+    const levels = [];
+    const meter = new UsageMeter({
+        budget: 1,
+        storage: null,
+        now: () => MORNING,
+        onLevelChange: (level, previous) => levels.push([level, previous])
+    });
+
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 2000 }); // $0.60
+    assert.equal(meter.level, USAGE_LEVELS.OK);
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 700 });  // $0.81
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 100 });  // $0.84
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 600 });  // $1.02
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 600 });
+
+    assert.equal(meter.level, USAGE_LEVELS.OVER);
+    assert.deepEqual(levels, [[USAGE_LEVELS.WARNING, USAGE_LEVELS.OK], [USAGE_LEVELS.OVER, USAGE_LEVELS.WARNING]]);
+});
+
+test('no budget means no limit, and raising it lifts the limit', () => {
+    const meter = new UsageMeter({ storage: null, now: () => MORNING });
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 10000 }); // $3
+    assert.equal(meter.level, USAGE_LEVELS.OK);
+
+    meter.setBudget(2);
+    assert.equal(meter.level, USAGE_LEVELS.OVER);
+    meter.setBudget(10);
+    assert.equal(meter.level, USAGE_LEVELS.OK);
+});
+
+test('the count survives a reload and starts again the next day', () => {
+    const storage = createStorage();
+    let now = MORNING;
+    const levels = [];
+
+    const meter = new UsageMeter({ budget: 1, storage, now: () => now });
+    meter.recordSpeech({ service: 'ElevenLabs', characters: 4000 }); // $1.20
+
+    const reloaded = new UsageMeter({
+        budget: 1,
+        storage,
+        now: () => now,
+        onLevelChange: (level, previous) => levels.push([level, previous])
+    });
+    assert.equal(reloaded.level, USAGE_LEVELS.OVER);
+    assert.equal(reloaded.today().speech.characters, 4000);
+
+    now = NEXT_MORNING;
+    assert.equal(reloaded.refresh(), USAGE_LEVELS.OK);
+    assert.equal(reloaded.today().cost, 0);
+    assert.deepEqual(levels, [[USAGE_LEVELS.OK, USAGE_LEVELS.OVER]]);
+
+    assert.equal(new UsageMeter({ storage, now: () => NEXT_MORNING }).today().speech.characters, 0);
+});
+
+test('costs are spoken in dollars in the user\'s language', () => {
+    assert.equal(formatCost(0.0425, 'en-US'), '$0.043');
+    assert.equal(formatCost(2.5, 'en-US'), '$2.50');
+    assert.match(formatCost(2.5, 'es-ES'), /^2,50\sUS\$$/);
+});
+
+test('the server finds the usage in JSON and streamed completions', () => {
+    assert.deepEqual(
+        completionUsage(JSON.stringify({ model: 'gpt-4o', choices: [], usage: { prompt_tokens: 10, completion_tokens: 2 } })),
+        { model: 'gpt-4o', prompt_tokens: 10, completion_tokens: 2 }
+    );
+
+    const stream = [
+        'data: {"choices":[{"delta":{"content":"Hi"}}]}',
+        'data: {"model":"gpt-4o-mini","choices":[],"usage":{"prompt_tokens":7,"completion_tokens":1}}',
+        'data: [DONE]',
+        ''
+    ].join('\n\n');
+    assert.deepEqual(completionUsage(stream), { model: 'gpt-4o-mini', prompt_tokens: 7, completion_tokens: 1 });
+
+    assert.equal(completionUsage('data: {"choices":[]}\n\ndata: [DONE]\n\n'), null);
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { USER_CONTEXT_MAX_LENGTH, VisionClient } from '../web/vision-client.js';
+import { VERBOSITY_LEVELS, renderPrompt } from '../web/prompts.js';
+import { MockVisionProvider } from '../web/vision-providers.js';
+import { API_ERROR_KINDS, ApiError } from '../web/request.js';
+
+const IMAGE = 'data:image/jpeg;base64,AAAA';
+
+// A provider whose every request fails with this ApiError kind
+function unreachableProvider(kind) {
+    const fail = async () => {
+        throw new ApiError(kind, 'OpenAI error', { service: 'OpenAI' });
+    };
+    return { name: 'OpenAI', describeScene: fail, readText: fail, locateObject: fail };
+}
+
+test('prompts in the chosen language', async () => {
+    const provider = new MockVisionProvider();
+    const client = new VisionClient({ provider, language: 'es' });
+
+    await client.describeScene(IMAGE);
+
+    assert.match(provider.calls[0].options.prompt, /Describe in Spanish/);
+});
+
+test('verbosity adds its instruction and scales the answer length', async () => {
+    const provider = new MockVisionProvider();
+    const client = new VisionClient({ provider });
+
+    await client.describeScene(IMAGE, { verbosity: { instruction: 'Answer in one short sentence.', tokenScale: 0.5 } });
+
+    assert.match(provider.calls[0].options.prompt, /Answer in one short sentence\.$/);
+    assert.equal(provider.calls[0].options.maxTokens, 75);
+});
+
+test('the profiles set the length of descriptions and answers', async () => {
+    const provider = new MockVisionProvider();
+    const client = new VisionClient({ provider });
+
+    await client.describeScene(IMAGE, { verbosity: VERBOSITY_LEVELS.brief });
+    await client.describeScene(IMAGE, { verbosity: VERBOSITY_LEVELS.detailed });
+    await client.streamAnswer(IMAGE, 'Is the door open?', { verbosity: VERBOSITY_LEVELS.detailed });
+    await client.scanForHazards(IMAGE);
+
+    assert.match(provider.calls[0].options.prompt, /Keep descriptions to one short sentence/);
+    assert.match(provider.calls[1].options.prompt, /Keep descriptions to 4-6 sentences/);
+    assert.equal(provider.calls[1].options.maxTokens, 300);
+    assert.match(provider.calls[2].options.prompt, /^The user asks: "Is the door open\?"/);
+    assert.equal(provider.calls[2].options.maxTokens, 400);
+    assert.equal(provider.calls[3].options.maxTokens, 300, 'hazard lists keep their own length');
+});
+
+test('what the user said about themselves goes with every request about the scene', async () => {
+    const provider = new MockVisionProvider();
+    const client = new VisionClient({ provider, userContext: '  I use a white cane.\n  I\'m left-handed. ' });
+
+    await client.describeScene(IMAGE);
+    await client.streamAnswer(IMAGE, 'What is ahead?');
+    await client.locateObject(IMAGE, 'keys');
+    await client.readText(IMAGE);
+
+    const context = /The user has told you this about themselves: "I use a white cane\. I'm left-handed\."/;
+    assert.match(provider.calls[0].options.systemPrompt, context);
+    assert.match(provider.calls[1].options.systemPrompt, context);
+    assert.match(provider.calls[2].options.systemPrompt, context);
+    assert.doesNotMatch(provider.calls[3].options.systemPrompt, context, 'transcription is the same for everyone');
+
+    client.setUserContext('x'.repeat(USER_CONTEXT_MAX_LENGTH + 50));
+    assert.equal(client.userContext.length, USER_CONTEXT_MAX_LENGTH);
+    client.setUserContext('');
+    await client.describeScene(IMAGE);
+    assert.doesNotMatch(provider.calls[4].options.systemPrompt, /told you this about themselves/);
+});
+
+test('templates fill their placeholders once', () => {
+    assert.equal(renderPrompt('Find "{target}" in {languageName}', { target: 'my {languageName} book', languageName: 'Spanish' }),
+        'Find "my {languageName} book" in Spanish');
+    assert.equal(renderPrompt('{"visible": false} {unknown}'), '{"visible": false} {unknown}');
+});
+
+test('hazard scans return the list, or nothing when the reply is not JSON', async () => {
+    const client = new VisionClient({
+        provider: new MockVisionProvider({ hazards: [{ type: 'stairs', description: 'Stairs ahead' }, { type: 'curb' }] })
+    });
+    assert.deepEqual(await client.scanForHazards(IMAGE), [{ type: 'stairs', description: 'Stairs ahead' }]);
+
+    client.setProvider({ name: 'Broken', describeScene: async () => 'Sorry, I cannot help with that.' });
+    assert.deepEqual(await client.scanForHazards(IMAGE), []);
+});
+
+test('streams the answer and passes the conversation along', async () => {
+    const provider = new MockVisionProvider({ answer: 'Your hair is brown.' });
+    const client = new VisionClient({ provider });
+    const pieces = [];
+
+    const answer = await client.streamAnswer(IMAGE, 'What color is my hair?', {
+        history: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+        onDelta: (delta, before) => pieces.push([delta, before])
+    });
+
+    assert.equal(answer, 'Your hair is brown.');
+    assert.deepEqual(pieces[1], ['hair ', 'Your ']);
+    assert.match(provider.calls[0].options.systemPrompt, /Earlier questions and answers/);
+});
+
+test('locateObject parses where the object is', async () => {
+    const client = new VisionClient({ provider: new MockVisionProvider({ location: { visible: true, position: 'left', distance: 'far', area: 0.05 } }) });
+
+    const observation = await client.locateObject(IMAGE, 'keys');
+
+    assert.equal(observation.visible, true);
+    assert.equal(observation.position, 'left');
+    assert.equal(observation.distance, 'far');
+});
+
+test('falls back to the on-device model when the provider is unreachable, announcing it once', async () => {
+    let announced = 0;
+    const client = new VisionClient({ provider: unreachableProvider(API_ERROR_KINDS.NETWORK), onOfflineMode: () => announced++ });
+    client.offlineProvider = new MockVisionProvider({ description: 'A person ahead.' });
+
+    assert.equal(await client.describeScene(IMAGE), 'A person ahead.');
+    assert.equal(await client.describeScene(IMAGE), 'A person ahead.');
+    assert.equal(announced, 1);
+
+    client.handleOnline();
+    await client.describeScene(IMAGE);
+    assert.equal(announced, 2);
+});
+
+test('other failures are not hidden by the fallback', async () => {
+    const client = new VisionClient({ provider: unreachableProvider(API_ERROR_KINDS.INVALID_KEY) });
+    client.offlineProvider = new MockVisionProvider();
+
+    await assert.rejects(client.readText(IMAGE), { kind: API_ERROR_KINDS.INVALID_KEY });
+});
+
+test('without the fallback an unreachable provider fails', async () => {
+    const client = new VisionClient({ provider: unreachableProvider(API_ERROR_KINDS.NETWORK) });
+    client.setOfflineFallback(false);
+
+    await assert.rejects(client.describeScene(IMAGE), { kind: API_ERROR_KINDS.NETWORK });
+});
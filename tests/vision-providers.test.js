@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    MockVisionProvider,
+    OpenAICompatibleVisionProvider,
+    OpenAIVisionProvider,
+    createVisionProvider
+} from '../web/vision-providers.js';
+import { API_ERROR_KINDS } from '../web/request.js';
+import { createFakeFetch, streamedCompletion } from './fakes.js';
+
+const IMAGE = 'data:image/jpeg;base64,AAAA';
+
+function completion(content) {
+    return { body: { choices: [{ message: { content: content } }] } };
+}
+
+test('creates the configured provider', () => {
+    assert.ok(createVisionProvider() instanceof OpenAIVisionProvider);
+    assert.ok(createVisionProvider({ provider: 'compatible' }) instanceof OpenAICompatibleVisionProvider);
+    assert.ok(createVisionProvider({ provider: 'mock' }) instanceof MockVisionProvider);
+});
+
+test('OpenAI goes through our proxy with the user key as a header', async () => {
+    const fetch = createFakeFetch([completion('A kitchen.')]);
+    const provider = new OpenAIVisionProvider({ apiKey: 'sk-user', fetch });
+
+    const description = await provider.describeScene(IMAGE, { systemPrompt: 'Be brief.', prompt: 'Describe this.' });
+
+    assert.equal(description, 'A kitchen.');
+    const { url, init } = fetch.calls[0];
+    assert.equal(url, '/api/vision');
+    assert.equal(init.headers['X-OpenAI-Key'], 'sk-user');
+
+    const body = JSON.parse(init.body);
+    assert.equal(body.model, 'gpt-4o');
+    assert.deepEqual(body.messages[0], { role: 'system', content: 'Be brief.' });
+    assert.equal(body.messages[1].content[1].image_url.url, IMAGE);
+});
+
+test('an OpenAI-compatible server gets a bearer token at its own URL', async () => {
+    const fetch = createFakeFetch([completion('Text')]);
+    const provider = new OpenAICompatibleVisionProvider({ baseUrl: 'http://localhost:11434/v1/', apiKey: 'secret', fetch });
+
+    await provider.readText(IMAGE, { prompt: 'Read it.' });
+
+    const { url, init } = fetch.calls[0];
+    assert.equal(url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(init.headers['Authorization'], 'Bearer secret');
+    assert.equal(JSON.parse(init.body).messages[0].content[1].image_url.detail, 'high', 'small print needs full resolution');
+});
+
+test('streams answer pieces from server-sent events', async () => {
+    const fetch = createFakeFetch([{ body: streamedCompletion(['Your ', 'hair is ', 'brown.']) }]);
+    const provider = new OpenAIVisionProvider({ fetch });
+
+    const pieces = [];
+    for await (const delta of provider.streamAnswer(IMAGE, 'What color is my hair?', {
+        history: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+        onResponse: response => pieces.push(`response ${response.status}`)
+    })) {
+        pieces.push(delta);
+    }
+
+    assert.deepEqual(pieces, ['response 200', 'Your ', 'hair is ', 'brown.']);
+    const body = JSON.parse(fetch.calls[0].init.body);
+    assert.equal(body.stream, true);
+    assert.equal(body.messages.length, 3);
+});
+
+test('reports the tokens each request used', async () => {
+    const usage = [];
+    const fetch = createFakeFetch([
+        { body: { model: 'gpt-4o-mini', choices: [{ message: { content: 'A door.' } }], usage: { prompt_tokens: 300, completion_tokens: 12 } } },
+        { body: streamedCompletion(['Yes.'], { prompt_tokens: 280, completion_tokens: 2 }) }
+    ]);
+    const provider = new OpenAIVisionProvider({ fetch, onUsage: report => usage.push(report) });
+
+    await provider.describeScene(IMAGE, { prompt: 'Describe this.' });
+    for await (const delta of provider.streamAnswer(IMAGE, 'Is it open?')) {
+        assert.equal(delta, 'Yes.');
+    }
+
+    assert.deepEqual(usage, [
+        { service: 'OpenAI', model: 'gpt-4o-mini', promptTokens: 300, completionTokens: 12 },
+        { service: 'OpenAI', model: 'gpt-4o-2024-08-06', promptTokens: 280, completionTokens: 2 }
+    ]);
+});
+
+test('failures reach the caller as ApiErrors', async () => {
+    const fetch = createFakeFetch([{ status: 402, body: { error: { code: 'insufficient_quota' } } }]);
+    const provider = new OpenAIVisionProvider({ fetch });
+
+    await assert.rejects(provider.describeScene(IMAGE, { prompt: 'Describe this.' }), { kind: API_ERROR_KINDS.QUOTA, service: 'OpenAI' });
+});
+
+test('the mock provider records calls and answers hazards as JSON', async () => {
+    const provider = new MockVisionProvider({ hazards: [{ type: 'stairs', description: 'Stairs ahead' }] });
+
+    assert.equal(JSON.parse(await provider.describeScene(IMAGE, { json: true })).hazards[0].type, 'stairs');
+    assert.equal(JSON.parse(await provider.locateObject(IMAGE, 'keys')).visible, true);
+    assert.deepEqual(provider.calls.map(call => call.method), ['describeScene', 'locateObject']);
+});
@@ -0,0 +1,107 @@
+// Deciding which speech is meant for the assistant
+// The user picks an activation mode; the echo filter throws away anything that is just
+// the microphone hearing the assistant's own voice.
+
+import { normalizeText } from './i18n.js';
+
+export const ACTIVATION_MODES = {
+    WAKE_WORD: 'wake-word',       // "Assistant, what's in front of me?"
+    PUSH_TO_TALK: 'push-to-talk', // Only listen while the screen is held
+    ALWAYS_ON: 'always-on'        // Everything that sounds like a question
+};
+
+// Looks for the wake word anywhere in the transcript (recognition often prepends
+// "hey" or noise). Returns { heard, command } where command is what followed it,
+// with the user's original wording and accents kept.
+export function extractAfterWakeWord(transcript, wakeWords) {
+    const words = transcript.trim().split(/\s+/);
+    const normalizedWords = words.map(word => normalizeText(word));
+
+    for (const wakeWord of wakeWords) {
+        const wakeTokens = normalizeText(wakeWord).split(/\s+/).filter(Boolean);
+        if (wakeTokens.length === 0) continue;
+
+        for (let i = 0; i + wakeTokens.length <= normalizedWords.length; i++) {
+            const matches = wakeTokens.every((token, offset) => normalizedWords[i + offset] === token);
+            if (matches) {
+                const command = words.slice(i + wakeTokens.length).join(' ').replace(/^[\s,.:;!?¡¿-]+/, '');
+                return { heard: true, command: command };
+            }
+        }
+    }
+
+    return { heard: false, command: '' };
+}
+
+export class EchoFilter {
+    // tailMs: how long after we stop speaking the recognizer can still deliver our own voice.
+    // Anything heard later is the user - even when they repeat what we just told them to say
+    // ("Say stop guide mode to end it").
+    // threshold: share of the heard word pairs that must appear in what we said.
+    // Pairs rather than single words, so "what is on the table?" isn't mistaken for
+    // an echo of "there is a table on the left".
+    // now: the clock, replaced in tests
+    constructor(options = {}) {
+        this.tailMs = options.tailMs || 1000;
+        this.threshold = options.threshold || 0.6;
+        this.now = options.now || (() => Date.now());
+        this.recent = [];
+        this.speaking = false;
+        this.stoppedAt = null;
+    }
+
+    // Around everything the speech queue says in one go
+    startSpeaking() {
+        if (!this.mayHearEcho()) {
+            this.recent = [];
+        }
+        this.speaking = true;
+    }
+
+    stopSpeaking() {
+        this.speaking = false;
+        this.stoppedAt = this.now();
+    }
+
+    remember(text) {
+        this.recent.push(new Set(this.wordPairs(text)));
+    }
+
+    isEcho(transcript) {
+        if (!this.mayHearEcho()) {
+            return false;
+        }
+
+        const heard = this.wordPairs(transcript);
+        if (heard.length === 0) {
+            return false;
+        }
+
+        return this.recent.some(pairs => {
+            const overlap = heard.filter(pair => pairs.has(pair)).length;
+            return overlap / heard.length >= this.threshold;
+        });
+    }
+
+    mayHearEcho() {
+        return this.speaking || (this.stoppedAt !== null && this.now() - this.stoppedAt <= this.tailMs);
+    }
+
+    // Adjacent word pairs; a single word counts as its own pair
+    wordPairs(text) {
+        const words = normalizeText(text).split(/\s+/).filter(Boolean);
+        if (words.length === 1) {
+            return words;
+        }
+
+        const pairs = [];
+        for (let i = 0; i < words.length - 1; i++) {
+            pairs.push(`${words[i]} ${words[i + 1]}`);
+        }
+        return pairs;
+    }
+
+    clear() {
+        this.recent = [];
+    }
+}
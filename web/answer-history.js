@@ -0,0 +1,180 @@
+// Answer history
+// Every answer is kept with its question and time, so one that was missed in a noisy street
+// can be heard again ("repeat", "previous answer") or read on screen instead of asked again.
+// The history is saved on this device only.
+
+const HISTORY_KEY = 'blindvision.history';
+
+export class AnswerHistory {
+    // options: { maxEntries, storage, onChange } - storage is localStorage unless another one is passed in
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 50;
+        this.storage = options.storage !== undefined ? options.storage :
+            (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.onChange = options.onChange || (() => {});
+        this.entries = this.load(); // { question, answer, time }, oldest first
+        this.cursor = this.entries.length - 1; // The answer "repeat" says; moved by previous() and next()
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    get current() {
+        return this.entries[this.cursor] || null;
+    }
+
+    add(question, answer, time = Date.now()) {
+        this.entries.push({ question: question, answer: answer, time: time });
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+
+        this.cursor = this.entries.length - 1;
+        this.save();
+        this.onChange();
+    }
+
+    // The answer before the current one, or null when the current one is the oldest
+    previous() {
+        if (this.cursor <= 0) return null;
+        this.cursor--;
+        return this.current;
+    }
+
+    // The answer after the current one, or null when the current one is the newest
+    next() {
+        if (this.cursor >= this.entries.length - 1) return null;
+        this.cursor++;
+        return this.current;
+    }
+
+    clear() {
+        this.entries = [];
+        this.cursor = -1;
+        this.save();
+        this.onChange();
+    }
+
+    load() {
+        if (!this.storage) return [];
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(HISTORY_KEY) || '[]');
+            return Array.isArray(stored) ?
+                stored.filter(entry => entry && typeof entry.answer === 'string').slice(-this.maxEntries) :
+                [];
+        } catch (error) {
+            console.log('Could not read the answer history:', error);
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            if (this.entries.length === 0) {
+                this.storage.removeItem(HISTORY_KEY);
+            } else {
+                this.storage.setItem(HISTORY_KEY, JSON.stringify(this.entries));
+            }
+        } catch (error) {
+            // Storage full or blocked - the history still works for this session
+            console.log('Could not save the answer history:', error);
+        }
+    }
+}
+
+// The answer list in index.html. A native <dialog> like the settings panel, so screen reader
+// users can go through the answers at their own pace - one heading per question.
+export class HistoryPanel {
+    // options: { translate(key, params), getLocale(), onOpen(), onClose(), document }
+    constructor(history, options) {
+        this.history = history;
+        this.options = options;
+        this.document = options.document || document;
+        this.dialog = this.document.getElementById('historyDialog');
+        this.list = this.document.getElementById('historyList');
+        this.openButton = this.document.getElementById('historyButton');
+
+        if (!this.dialog || !this.list) {
+            console.log('History panel not found');
+            return;
+        }
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.openButton) {
+            this.openButton.addEventListener('click', () => this.open());
+        }
+
+        this.document.getElementById('historyClose').addEventListener('click', () => this.close());
+        this.document.getElementById('historyClear').addEventListener('click', () => this.history.clear());
+
+        this.dialog.addEventListener('close', () => {
+            if (this.openButton) {
+                this.openButton.focus();
+            }
+            this.options.onClose();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.open);
+    }
+
+    open() {
+        if (!this.dialog || this.isOpen()) return;
+
+        this.translateLabels();
+        this.render();
+        this.dialog.showModal();
+        this.options.onOpen();
+    }
+
+    close() {
+        if (this.isOpen()) {
+            this.dialog.close();
+        }
+    }
+
+    translateLabels() {
+        this.dialog.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.options.translate(element.dataset.i18n);
+        });
+        if (this.openButton) {
+            this.openButton.textContent = this.options.translate('historyButton');
+        }
+    }
+
+    // Newest first. Answers are plain text from the model, so they only ever go in as text.
+    render() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+        if (this.history.length === 0) {
+            const empty = this.document.createElement('li');
+            empty.textContent = this.options.translate('historyEmpty');
+            this.list.appendChild(empty);
+            return;
+        }
+
+        [...this.history.entries].reverse().forEach(entry => {
+            const item = this.document.createElement('li');
+            const heading = this.document.createElement('h3');
+            const time = this.document.createElement('time');
+            const answer = this.document.createElement('p');
+
+            time.dateTime = new Date(entry.time).toISOString();
+            time.textContent = new Date(entry.time).toLocaleTimeString(this.options.getLocale(), { hour: '2-digit', minute: '2-digit' });
+            heading.append(time, ` ${entry.question}`);
+            answer.textContent = entry.answer;
+
+            item.append(heading, answer);
+            this.list.appendChild(item);
+        });
+    }
+}
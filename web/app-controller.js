@@ -0,0 +1,1532 @@
+// The app controller
+// Wires camera, speech input and output, the vision client and the command router together
+// and owns the app's modes: questions, reading, find mode and guide mode.
+
+import { DEFAULT_LANGUAGE, LANGUAGES, SPELLING_NAMES, detectLanguage, getLocale, translate } from './i18n.js';
+import { ACTIVATION_MODES, EchoFilter, extractAfterWakeWord } from './activation.js';
+import { SPEECH_RATE_LIMITS, SettingsPanel, loadSettings, saveSetting } from './settings.js';
+import { VERBOSITY_LEVELS } from './prompts.js';
+import { API_ERROR_KINDS, ApiError, isOffline, serverTimingMs } from './request.js';
+import { createVisionProvider } from './vision-providers.js';
+import { SPEECH_PRIORITY, SentenceChunker } from './speech-engines.js';
+import { SpeechInput } from './speech-input.js';
+import { SpeechOutput } from './speech-output.js';
+import { USER_CONTEXT_MAX_LENGTH, VisionClient } from './vision-client.js';
+import { Conversation } from './conversation.js';
+import { AnswerHistory, HistoryPanel } from './answer-history.js';
+import { ResponseCache } from './response-cache.js';
+import { BUDGET_FALLBACKS, USAGE_LEVELS, UsageMeter, formatCost } from './usage-meter.js';
+import { CommandRouter } from './command-router.js';
+import { CAMERA_FACING, CameraController } from './camera-control.js';
+import { FRAME_ISSUES, FRAMING_ISSUES, FrameQualityChecker } from './frame-quality.js';
+import { ImagePipeline, NetworkMonitor, dataUrlBytes } from './image-pipeline.js';
+import { Earcons } from './earcons.js';
+import { Haptics } from './haptics.js';
+import { TextReader, spellOut } from './text-reader.js';
+import { ObjectFinder } from './object-finder.js';
+import { InstallPrompt, isInstalled } from './install-prompt.js';
+
+// What "shorter answers" and "more detailed answers" say for each profile
+const VERBOSITY_MESSAGES = {
+    brief: 'answersBrief',
+    normal: 'answersNormal',
+    detailed: 'answersDetailed'
+};
+
+export class BlindVisionApp {
+    // dependencies replace browser APIs, e.g. with fakes in tests:
+    // { window, document, navigator, storage, timers, SpeechRecognition, synth, Utterance, Audio,
+    //   ImageCapture, mediaDevices, fetch }
+    constructor(dependencies = {}) {
+        this.dependencies = dependencies;
+        this.window = dependencies.window || window;
+        this.document = dependencies.document || this.window.document;
+        this.navigator = dependencies.navigator || this.window.navigator;
+        this.storage = dependencies.storage || this.window.localStorage;
+        this.timers = dependencies.timers || this.window;
+        this.hasStarted = false;
+        // Initialize properties
+        this.stream = null;
+        this.video = null;
+        this.camera = null;
+        this.imagePipeline = null;
+        
+        // Framing guidance - frames are checked before anything is sent
+        this.frameChecker = null;
+        this.frameGuidanceTimeoutMs = 8000;
+        this.frameGuidanceRepeatMs = 3000;
+        this.lastFrameQuality = null;
+        
+        // User settings, persisted on this device
+        this.settings = loadSettings(this.storage);
+        this.settingsPanel = null;
+        this.installPrompt = null;
+        
+        // Language for recognition, prompts and speech - detected from the browser, changeable by voice
+        this.language = this.settings.language || detectLanguage();
+        if (!LANGUAGES[this.language]) {
+            this.language = DEFAULT_LANGUAGE;
+        }
+        this.document.documentElement.lang = this.language;
+        
+        // Paid API usage per day, with a budget that switches to cheaper services when used up.
+        // Needed before speech and vision are set up, since it decides which ones they use.
+        this.usage = new UsageMeter({
+            budget: this.getDailyBudget(),
+            storage: this.storage,
+            onLevelChange: (level, previous) => this.handleUsageLevel(level, previous)
+        });
+        this.voiceOverBudget = false; // Whether the current voice was picked with the budget used up
+        
+        // Audio management - every utterance goes through the speech queue
+        this.speechOutput = null;
+        this.speechInput = null;
+        this.initializeSpeechOutput();
+        
+        // Analysis management
+        this.isAnalyzing = false;
+        this.answerController = null; // Stops the answer that is streaming in
+        
+        // Earcons and vibration - non-verbal feedback for state changes and where things are
+        this.earcons = new Earcons({
+            enabled: this.settings.earcons,
+            AudioContext: this.window.AudioContext || this.window.webkitAudioContext || null
+        });
+        this.haptics = new Haptics({ enabled: this.settings.haptics, intensity: this.settings.hapticIntensity });
+        this.statusType = null;
+        
+        // Reading mode - the text currently being read out, page by page
+        this.textReader = null;
+        
+        // Find mode - repeated looks for one object, guiding the user towards it
+        this.finder = null;
+        this.findTimer = null;
+        this.findIntervalMs = 2500;
+        
+        // Guide mode - periodic hazard scanning while the user walks
+        this.guideMode = false;
+        this.guideModeTimer = null;
+        this.guideModeIntervalMs = 4000;
+        this.isScanning = false;
+        this.announcedHazards = new Map(); // hazard key -> time it was last announced
+        this.hazardRepeatMs = 30000; // Don't repeat the same hazard within 30 seconds
+        this.guideBlindIssue = null; // FRAME_ISSUES.TOO_DARK or TOO_BRIGHT while guide mode can't see
+        this.guideBlindWarnedAt = 0;
+        this.guideBlindRepeatMs = 30000; // Reminds the user this often while it lasts
+        
+        // Voice interaction
+        this.conversationMode = true;
+        this.lastCapturedImage = null;
+        this.speechRateStep = 0.25; // How much "slower" and "faster" change the speech rate
+        
+        // Activation - which speech counts as a question for the assistant
+        this.activationMode = this.settings.activationMode;
+        this.customWakeWord = this.settings.wakeWord;
+        this.wakeWindowMs = 8000; // After a bare "Assistant", the next thing said is the question
+        this.awaitingCommandUntil = 0;
+        this.echoFilter = new EchoFilter();
+        
+        // Conversation memory so follow-up questions keep their context
+        this.conversation = new Conversation({ includeFrames: this.settings.conversationFrames, timers: this.timers });
+        
+        // Every answer, so a missed one can be repeated or read instead of asked again
+        this.history = new AnswerHistory({ storage: this.storage, onChange: () => this.historyPanel && this.historyPanel.render() });
+        this.historyPanel = null;
+        
+        // Repeated questions about an unchanged scene are answered without another API call
+        this.responseCache = new ResponseCache();
+        
+        // Initialize speech recognition
+        this.initializeSpeechRecognition();
+        
+        // Vision - OpenAI by default, configurable for self-hosted models and tests, with an
+        // optional on-device fallback for when the network is gone
+        this.vision = new VisionClient({
+            provider: createVisionProvider(this.getVisionConfig()),
+            language: this.language,
+            userContext: this.settings.userContext,
+            onOfflineMode: () => this.speak(this.t('offlineMode'))
+        });
+        console.log('Using vision provider:', this.vision.provider.name);
+        this.vision.setOfflineFallback(this.settings.offlineFallback);
+        
+        // Everything said to the assistant that isn't a command is a question about the scene
+        this.commands = new CommandRouter(this);
+        
+        this.initializeElements();
+        this.autoStart();
+    }
+
+    getVerbosity() {
+        return VERBOSITY_LEVELS[this.settings.verbosity] || VERBOSITY_LEVELS.normal;
+    }
+
+    // "Shorter answers" and "more detailed answers" step through the profiles in order
+    changeVerbosity(direction) {
+        const levels = Object.keys(VERBOSITY_LEVELS);
+        const current = VERBOSITY_LEVELS[this.settings.verbosity] ? this.settings.verbosity : 'normal';
+        const level = levels[Math.min(levels.length - 1, Math.max(0, levels.indexOf(current) + direction))];
+
+        if (level === current) {
+            this.speak(this.t(direction > 0 ? 'answersLongest' : 'answersShortest'));
+            return;
+        }
+
+        console.log('Changing answer length to', level);
+        this.settings.verbosity = level;
+        saveSetting('verbosity', level, this.storage);
+        this.responseCache.clear(); // Cached answers have the old length
+        this.speak(this.t(VERBOSITY_MESSAGES[level]));
+    }
+
+    // "Remember that I'm left-handed" - added to what the model is told about the user
+    rememberAboutUser(fact) {
+        const userContext = [this.settings.userContext, fact.replace(/[.\s]+$/, '') + '.'].filter(Boolean).join(' ');
+        if (userContext.length > USER_CONTEXT_MAX_LENGTH) {
+            this.speak(this.t('contextFull'));
+            return;
+        }
+
+        this.settings.userContext = userContext;
+        saveSetting('userContext', userContext, this.storage);
+        this.vision.setUserContext(userContext);
+        this.responseCache.clear();
+        this.speak(this.t('contextRemembered', { fact: fact }));
+    }
+
+    forgetAboutUser() {
+        this.settings.userContext = '';
+        saveSetting('userContext', '', this.storage);
+        this.vision.setUserContext('');
+        this.responseCache.clear();
+        this.speak(this.t('contextForgotten'));
+    }
+
+    openSettings() {
+        if (this.settingsPanel) {
+            this.settingsPanel.open(this.settings);
+        }
+    }
+    
+    // Let the screen reader have the audio while a panel is open
+    pauseForPanel() {
+        this.stopAllAudio();
+        this.speechInput.stop();
+    }
+    
+    resumeAfterPanel() {
+        this.speechInput.continuous = this.activationMode !== ACTIVATION_MODES.PUSH_TO_TALK;
+        if (!this.isPlaying) {
+            this.speechInput.startContinuous();
+        }
+    }
+    
+    isPanelOpen() {
+        return Boolean((this.settingsPanel && this.settingsPanel.isOpen()) || (this.historyPanel && this.historyPanel.isOpen()));
+    }
+
+    // Installing needs a tap on the browser's dialog, so by voice we can only say how
+    explainInstall() {
+        if (isInstalled(this.window)) {
+            this.speak(this.t('installAlready'));
+        } else if (this.installPrompt && this.installPrompt.available) {
+            this.speak(this.t('installHintButton'));
+        } else {
+            this.speak(this.t('installHintShare'));
+        }
+    }
+
+    applySettings(newSettings) {
+        console.log('Applying settings');
+        Object.keys(newSettings).forEach(name => saveSetting(name, newSettings[name], this.storage));
+        this.settings = loadSettings(this.storage);
+        
+        const language = this.settings.language || detectLanguage();
+        this.language = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+        this.document.documentElement.lang = this.language;
+        this.speechInput.setLanguage(getLocale(this.language));
+        this.vision.setLanguage(this.language);
+        this.customWakeWord = this.settings.wakeWord;
+        this.conversation.includeFrames = this.settings.conversationFrames;
+        this.responseCache.clear(); // Language, provider or answer length may have changed
+        this.usage.setBudget(this.getDailyBudget());
+        
+        this.earcons.setEnabled(this.settings.earcons);
+        this.haptics.configure({ enabled: this.settings.haptics, intensity: this.settings.hapticIntensity });
+        
+        // Voice, rate, engine and provider are all fixed at construction - rebuild them
+        this.initializeSpeechOutput();
+        this.vision.setProvider(createVisionProvider(this.getVisionConfig()));
+        this.vision.setOfflineFallback(this.settings.offlineFallback);
+        this.vision.setUserContext(this.settings.userContext);
+        
+        this.translateButtons();
+        
+        this.speak(this.t('settingsSaved'));
+        
+        if (this.stream && this.settings.camera !== this.camera.facing) {
+            this.switchCamera(this.settings.camera, false);
+        }
+        
+        if (this.settings.activationMode !== this.activationMode) {
+            this.setActivationMode(this.settings.activationMode);
+        }
+    }
+
+    // Each button's label has a message of the same name
+    translateButtons() {
+        ['settingsButton', 'historyButton', 'installButton'].forEach(id => {
+            const button = this.document.getElementById(id);
+            if (button) {
+                button.textContent = this.t(id);
+            }
+        });
+    }
+
+    // Spoken message in the current language
+    t(key, params = {}) {
+        return translate(this.language, key, params);
+    }
+
+    setLanguage(language, announce = true) {
+        if (!LANGUAGES[language]) return;
+        
+        console.log('Switching language to', language);
+        this.language = language;
+        this.settings.language = language;
+        saveSetting('language', language, this.storage);
+        this.document.documentElement.lang = language;
+        this.translateButtons();
+        
+        const locale = getLocale(language);
+        this.speechOutput.setLanguage(locale);
+        this.vision.setLanguage(language);
+        this.responseCache.clear();
+        
+        // Recognition picks up the new language the next time it restarts,
+        // which happens right after the confirmation below has been spoken
+        this.speechInput.setLanguage(locale);
+        
+        if (announce) {
+            this.speak(this.t('languageChanged'));
+        }
+    }
+
+    getSpeechConfig() {
+        // ElevenLabs for natural voice synthesis when the server has a key for it
+        const env = this.window.ENV || {};
+        const hasElevenLabs = env.ELEVENLABS_ENABLED || Boolean(this.settings.elevenLabsKey);
+        let engine = this.settings.ttsEngine || env.TTS_ENGINE || (hasElevenLabs ? 'elevenlabs' : 'browser');
+        if (engine === 'elevenlabs' && this.overBudget) {
+            engine = BUDGET_FALLBACKS.ttsEngine;
+        }
+        return {
+            engine: engine,
+            language: getLocale(this.language),
+            rate: this.settings.speechRate,
+            voiceId: this.settings.voiceId,
+            voiceName: this.settings.browserVoice,
+            apiKey: this.settings.elevenLabsKey,
+            onUsage: usage => this.usage.recordSpeech(usage),
+            synth: this.dependencies.synth,
+            Utterance: this.dependencies.Utterance,
+            Audio: this.dependencies.Audio,
+            fetch: this.dependencies.fetch
+        };
+    }
+
+    initializeSpeechOutput() {
+        this.voiceOverBudget = this.overBudget;
+        if (this.speechOutput) {
+            this.speechOutput.configure(this.getSpeechConfig());
+            return;
+        }
+        
+        this.speechOutput = new SpeechOutput(this.getSpeechConfig(), {
+            onStart: () => {
+                this.echoFilter.startSpeaking();
+                // Stop speech recognition to prevent echo
+                if (this.speechInput) {
+                    this.speechInput.pause();
+                }
+            },
+            onSpoken: (text) => {
+                this.echoFilter.remember(text);
+            },
+            onIdle: () => {
+                this.echoFilter.stopSpeaking();
+                // Restart speech recognition after speaking
+                if (this.speechInput) {
+                    this.speechInput.resumeAfterSpeech();
+                }
+            }
+        });
+    }
+    
+    get isPlaying() {
+        return this.speechOutput.isSpeaking;
+    }
+
+    getVisionConfig() {
+        // Local settings win over the deployment configuration. The mock only ever comes from the
+        // deployment - made-up descriptions are no use to someone who can't check them.
+        const env = this.window.ENV || {};
+        const chosen = this.settings.visionProvider !== 'mock' ? this.settings.visionProvider : '';
+        const provider = chosen || env.VISION_PROVIDER || 'openai';
+        let model = this.settings.visionModel || env.VISION_MODEL || '';
+        if (provider === 'openai' && this.overBudget) {
+            model = BUDGET_FALLBACKS.visionModel;
+        }
+        return {
+            provider: provider,
+            baseUrl: this.settings.visionBaseUrl || env.VISION_BASE_URL || '',
+            model: model,
+            apiKey: provider === 'openai' ? this.settings.openaiKey : this.settings.visionApiKey,
+            fetch: this.dependencies.fetch,
+            onUsage: usage => this.usage.recordVision(usage)
+        };
+    }
+
+    // Spending limit in US dollars per day - the user's own, or the deployment's DAILY_BUDGET_USD
+    getDailyBudget() {
+        const env = this.window.ENV || {};
+        return Number(this.settings.dailyBudget) || Number(env.DAILY_BUDGET_USD) || 0;
+    }
+
+    get overBudget() {
+        return this.usage.level === USAGE_LEVELS.OVER;
+    }
+
+    // The meter crossed a threshold: most of the budget is used, all of it, or a new day began
+    handleUsageLevel(level, previous) {
+        if (!this.vision) {
+            return; // Still starting up - speech and vision pick the level up as they're created
+        }
+
+        if (level === USAGE_LEVELS.WARNING && previous === USAGE_LEVELS.OK) {
+            this.speak(this.t('usageWarning', { percent: Math.round(this.usage.warnAt * 100) }));
+        } else if (level === USAGE_LEVELS.OVER) {
+            this.speak(this.t('usageLimitReached'));
+        }
+
+        // The model can change right away; the voice waits for the next question (applyUsageLimits)
+        this.vision.setProvider(createVisionProvider(this.getVisionConfig()));
+    }
+
+    // Switches the voice once the budget runs out or a new day starts. Only between
+    // questions, so an answer is never cut off halfway through.
+    applyUsageLimits() {
+        this.usage.refresh();
+        if (this.voiceOverBudget !== this.overBudget) {
+            this.initializeSpeechOutput();
+        }
+    }
+
+    reportUsage() {
+        const today = this.usage.today();
+        const locale = getLocale(this.language);
+        const tokens = today.vision.promptTokens + today.vision.completionTokens;
+
+        let report = this.t('usageReport', {
+            requests: today.vision.requests,
+            tokens: tokens.toLocaleString(locale),
+            characters: today.speech.characters.toLocaleString(locale),
+            cost: formatCost(today.cost, locale)
+        });
+        if (this.usage.budget) {
+            report += ' ' + this.t('usageBudget', {
+                percent: Math.round(today.cost / this.usage.budget * 100),
+                budget: formatCost(this.usage.budget, locale)
+            });
+        }
+        if (this.overBudget) {
+            report += ' ' + this.t('usageSaving');
+        }
+        this.speak(report);
+    }
+
+    initializeElements() {
+        this.video = this.document.getElementById('video');
+        this.frameChecker = new FrameQualityChecker({ canvas: this.document.createElement('canvas') });
+        this.imagePipeline = new ImagePipeline(new NetworkMonitor(this.navigator.connection), this.document.createElement('canvas'));
+        this.camera = new CameraController(this.video, this.settings.camera, { mediaDevices: this.dependencies.mediaDevices || this.navigator.mediaDevices });
+        
+        // Tell the user when the connection drops - otherwise they'd only find out by asking
+        this.window.addEventListener('offline', () => this.handleConnectivityChange(false));
+        this.window.addEventListener('online', () => this.handleConnectivityChange(true));
+        
+        // Set up touch/click controls for the entire screen
+        this.document.addEventListener('touchstart', this.handleTouchControl.bind(this));
+        this.document.addEventListener('click', this.handleTouchControl.bind(this));
+        
+        // Push to talk: listen only while the screen is held down
+        this.document.addEventListener('pointerdown', this.startPushToTalk.bind(this));
+        this.document.addEventListener('pointerup', this.endPushToTalk.bind(this));
+        this.document.addEventListener('pointercancel', this.endPushToTalk.bind(this));
+        
+        
+        // Settings panel - reachable from the Settings button and by voice
+        this.settingsPanel = new SettingsPanel({
+            translate: (key, params) => this.t(key, params),
+            getLanguage: () => this.language,
+            onOpen: () => this.pauseForPanel(),
+            onClose: () => this.resumeAfterPanel(),
+            onSave: (settings) => this.applySettings(settings),
+            document: this.document
+        });
+        
+        // Answer history - the same answers on screen, for screen readers and low vision
+        this.historyPanel = new HistoryPanel(this.history, {
+            translate: (key, params) => this.t(key, params),
+            getLocale: () => getLocale(this.language),
+            onOpen: () => this.pauseForPanel(),
+            onClose: () => this.resumeAfterPanel(),
+            document: this.document
+        });
+        
+        this.translateButtons();
+        
+        // Home screen install - the button only appears when the browser offers it
+        this.installPrompt = new InstallPrompt({
+            button: this.document.getElementById('installButton'),
+            onInstalled: () => this.speak(this.t('appInstalled')),
+            window: this.window
+        });
+        
+        console.log('Elements initialized');
+        
+        // Set up start button for mobile
+        const startButton = this.document.getElementById('startButton');
+        const startScreen = this.document.getElementById('startScreen');
+        
+        if (startButton && startScreen) {
+            startButton.addEventListener('click', () => {
+                this.handleStartButtonClick();
+            });
+            
+            startScreen.addEventListener('click', () => {
+                this.handleStartButtonClick();
+            });
+        } else {
+            // Desktop - start immediately
+            this.startApp();
+        }
+    }
+
+    initializeSpeechRecognition() {
+        this.speechInput = new SpeechInput({
+            SpeechRecognition: this.dependencies.SpeechRecognition,
+            timers: this.timers,
+            language: getLocale(this.language),
+            isMobile: this.isMobile(),
+            isSpeaking: () => this.isPlaying,
+            onResult: (transcript) => this.handleTranscript(transcript),
+            onStart: () => this.updateStatus('Ready', 'ready'),
+            onEnd: () => this.updateStatus('Ready', 'ready'),
+            onError: (error) => {
+                if (error === 'no-speech') {
+                    // Don't announce if already playing audio
+                    if (!this.isPlaying) {
+                        this.speak(this.t('noSpeech'), { priority: SPEECH_PRIORITY.CHATTER });
+                    }
+                } else if (error === 'network') {
+                    this.speak(this.t('networkError'));
+                }
+                this.updateStatus('Ready', 'ready');
+            }
+        });
+        this.speechInput.pushToTalk = this.activationMode === ACTIVATION_MODES.PUSH_TO_TALK;
+        this.speechInput.continuous = !this.speechInput.pushToTalk;
+        
+        if (!this.speechInput.available) {
+            this.speak(this.t(this.speechInput.unavailableReason === 'unsupported' ? 'speechNotSupported' : 'speechInitFailed'));
+        }
+    }
+
+    async startCamera() {
+        try {
+            console.log('Starting camera...');
+            
+            // Check if we have camera permissions first (mobile browsers)
+            if (this.navigator.permissions && this.navigator.permissions.query) {
+                try {
+                    const cameraPermission = await this.navigator.permissions.query({ name: 'camera' });
+                    console.log('Camera permission status:', cameraPermission.state);
+                } catch (e) {
+                    console.log('Cannot query camera permissions:', e);
+                }
+            }
+            
+            // Mobile-friendly constraints live in the camera controller; rear camera unless the user chose the front one
+            this.stream = await this.camera.start();
+            
+            console.log('Camera started successfully');
+            this.updateStatus('Ready', 'ready');
+            
+        } catch (error) {
+            console.error('Camera error:', error);
+            this.updateStatus('Camera error', 'error');
+            
+            if (error.name === 'NotAllowedError') {
+                this.speak(this.t('cameraDenied'));
+            } else if (error.name === 'NotFoundError') {
+                this.speak(this.t('cameraNotFound'));
+            } else {
+                this.speak(this.t('cameraError'));
+            }
+        }
+    }
+
+    async switchCamera(facing, announce = true) {
+        if (!this.stream) {
+            // Camera not started yet - it will open with this one
+            this.camera.facing = facing;
+            saveSetting('camera', facing, this.storage);
+            return;
+        }
+        
+        try {
+            const switched = await this.camera.switchTo(facing);
+            this.stream = this.camera.stream;
+            
+            // Remember the camera the user ended up with for next time
+            this.settings.camera = this.camera.facing;
+            saveSetting('camera', this.camera.facing, this.storage);
+            
+            if (!switched) {
+                this.speak(this.t('cameraSwitchUnavailable'));
+            } else if (announce) {
+                this.speak(this.t(facing === CAMERA_FACING.FRONT ? 'cameraFront' : 'cameraRear'));
+            }
+        } catch (error) {
+            console.error('Camera switch error:', error);
+            this.speak(this.t('cameraSwitchUnavailable'));
+            
+            // Don't leave the user without any camera
+            if (!this.camera.stream) {
+                this.stream = null;
+                await this.startCamera();
+            }
+        }
+    }
+    
+    async setTorch(on) {
+        try {
+            const applied = await this.camera.setTorch(on);
+            this.speak(this.t(applied ? (on ? 'torchOn' : 'torchOff') : 'torchUnsupported'));
+        } catch (error) {
+            console.error('Torch error:', error);
+            this.speak(this.t('torchUnsupported'));
+        }
+    }
+    
+    // direction: 1 zooms in, -1 zooms out, 0 resets
+    async zoom(direction) {
+        const range = this.camera.zoomRange();
+        if (!range) {
+            this.speak(this.t('zoomUnsupported'));
+            return;
+        }
+        
+        try {
+            const zoom = await this.camera.stepZoom(direction);
+            if (direction > 0 && zoom === range.current) {
+                this.speak(this.t('zoomAtMax'));
+            } else if (direction < 0 && zoom === range.current) {
+                this.speak(this.t('zoomAtMin'));
+            } else {
+                this.speak(this.t('zoomLevel', { zoom: Math.round(zoom * 10) / 10 }));
+            }
+        } catch (error) {
+            console.error('Zoom error:', error);
+            this.speak(this.t('zoomUnsupported'));
+        }
+    }
+
+    updateStatus(message, type = 'ready') {
+        const statusElement = this.document.getElementById('status');
+        if (statusElement) {
+            // Remove all classes first
+            statusElement.classList.remove('active', 'inactive', 'listening');
+            
+            // Add appropriate class based on type
+            if (type === 'listening') {
+                statusElement.classList.add('listening');
+            } else if (type === 'ready' || type === 'analyzing') {
+                statusElement.classList.add('active');
+            } else {
+                statusElement.classList.add('inactive');
+            }
+        }
+        
+        console.log('Status:', message);
+        this.signalStatus(type);
+    }
+    
+    // Only changes of state make a sound or vibrate - recognition restarting reports "ready" constantly
+    signalStatus(type) {
+        const previous = this.statusType;
+        this.statusType = type;
+        if (type === previous) {
+            return;
+        }
+        
+        if (type === 'analyzing') {
+            this.earcons.startLoop('analyzing');
+            return;
+        }
+        
+        this.earcons.stopLoop();
+        if (type === 'listening') {
+            this.earcons.play('listening');
+            this.haptics.vibrate('listening');
+        } else if (type === 'error') {
+            this.earcons.play('error');
+            this.haptics.vibrate('failed');
+        } else if (type === 'ready' && (previous === 'analyzing' || previous === 'listening')) {
+            this.earcons.play('ready');
+        }
+    }
+
+    handleConnectivityChange(online) {
+        console.log('Connection', online ? 'restored' : 'lost');
+        if (!this.hasStarted) {
+            return;
+        }
+        
+        if (online) {
+            this.vision.handleOnline();
+            this.earcons.play('ready');
+            this.speak(this.t('connectionRestored'));
+        } else {
+            this.earcons.play('error');
+            this.haptics.vibrate('failed');
+            this.speak(this.t('connectionLost'));
+        }
+    }
+    
+    // Says what went wrong in words the user can act on - a bad key is not a bad connection
+    reportFailure(error) {
+        const messages = {
+            [API_ERROR_KINDS.OFFLINE]: 'errorOffline',
+            [API_ERROR_KINDS.TIMEOUT]: 'errorTimeout',
+            [API_ERROR_KINDS.INVALID_KEY]: 'errorInvalidKey',
+            [API_ERROR_KINDS.QUOTA]: 'errorQuota',
+            [API_ERROR_KINDS.RATE_LIMITED]: 'errorRateLimited',
+            [API_ERROR_KINDS.SERVER]: 'errorServer'
+        };
+        let key = (error instanceof ApiError && messages[error.kind]) || 'analysisFailed';
+        // Offline with the fallback switched on but never downloaded
+        if (key === 'errorOffline' && this.vision.offlineProvider && !this.vision.offlineProvider.isLoaded) {
+            key = 'offlineUnavailable';
+        }
+        
+        this.earcons.play('error');
+        this.haptics.vibrate('failed');
+        this.speak(this.t(key, { service: error.service || this.vision.provider.name }));
+    }
+    
+    // Failures that will keep happening until the user changes something
+    isPersistentFailure(error) {
+        return error instanceof ApiError &&
+            (error.kind === API_ERROR_KINDS.INVALID_KEY || error.kind === API_ERROR_KINDS.QUOTA);
+    }
+
+    // Touches on buttons and dialogs belong to those controls, not to the screen-wide gestures
+    isAppControlEvent(event) {
+        return Boolean(event && event.target && event.target.closest && event.target.closest('.app-control'));
+    }
+
+    handleTouchControl(event) {
+        if (this.isAppControlEvent(event)) return;
+        console.log('Touch/click detected');
+        
+        // Touch only stops audio - speech recognition keeps running!
+        if (this.isPlaying) {
+            console.log('Stopping current speech');
+            this.stopAllAudio();
+        }
+    }
+
+
+
+    handleStartButtonClick() {
+        if (this.hasStarted) return;
+        this.hasStarted = true;
+        
+        // Hide start screen
+        const startScreen = this.document.getElementById('startScreen');
+        const videoContainer = this.document.getElementById('videoContainer');
+        
+        if (startScreen) {
+            startScreen.style.display = 'none';
+        }
+        
+        if (videoContainer) {
+            videoContainer.style.display = 'flex';
+        }
+        
+        // Now start the app with user interaction
+        this.startApp();
+    }
+    
+    startApp() {
+        console.log('Starting app...');
+        this.hasStarted = true;
+        
+        // Start with welcome message
+        if (this.activationMode === ACTIVATION_MODES.WAKE_WORD) {
+            this.speak(this.t('welcomeWakeWord', { wakeWord: this.getWakeWordName() }));
+        } else if (this.activationMode === ACTIVATION_MODES.PUSH_TO_TALK) {
+            this.speak(this.t('welcomePushToTalk'));
+        } else {
+            this.speak(this.t('welcome'));
+        }
+        
+        // Opened from the home screen with no connection - say up front what won't work
+        if (isOffline()) {
+            this.speak(this.t(this.vision.offlineProvider ? 'launchedOfflineFallback' : 'launchedOffline'));
+        }
+        
+        // Start camera
+        this.timers.setTimeout(() => {
+            this.startCamera();
+        }, 2000);
+        
+        // Start continuous listening after a delay (only if speech recognition is available)
+        if (this.speechInput.available) {
+            this.timers.setTimeout(() => {
+                this.speechInput.startContinuous();
+            }, 3500);
+        }
+    }
+    
+    autoStart() {
+        console.log('Auto-start called...');
+        if (this.hasStarted) {
+            return; // No start screen - initializeElements already started
+        }
+        
+        if (this.isMobile()) {
+            // On mobile, wait for user interaction
+            console.log('Mobile detected - waiting for user interaction');
+            // The start screen is already showing
+        } else {
+            // On desktop, hide start screen and start immediately
+            const startScreen = this.document.getElementById('startScreen');
+            const videoContainer = this.document.getElementById('videoContainer');
+            
+            if (startScreen) {
+                startScreen.style.display = 'none';
+            }
+            
+            if (videoContainer) {
+                videoContainer.style.display = 'flex';
+            }
+            
+            this.startApp();
+        }
+    }
+
+    isMobile() {
+        return /iPhone|iPad|iPod|Android/i.test(this.navigator.userAgent);
+    }
+
+    // options.priority: SPEECH_PRIORITY.HAZARD interrupts, CHATTER is dropped when busy.
+    // Returns a promise that resolves once the text was spoken, dropped or cancelled.
+    speak(text, options = {}) {
+        console.log('Speak function called with text:', text.substring(0, 50) + '...');
+        return this.speechOutput.speak(text, options);
+    }
+
+    // Also stops the answer that is streaming in, so its later sentences aren't queued
+    stopAllAudio() {
+        console.log('Stopping all audio sources...');
+        if (this.answerController) {
+            this.answerController.abort();
+            this.answerController = null;
+        }
+        this.speechOutput.cancelAll();
+    }
+    
+    // mode picks the size and quality ('scene', 'hazards' or 'text'), options.region a crop
+    captureFrame(mode = 'scene', options = {}) {
+        if (!this.video || !this.video.videoWidth) {
+            console.log('Video not ready for capture');
+            return null;
+        }
+        
+        const frame = this.imagePipeline.process(this.video, mode, options);
+        return frame ? frame.dataUrl : null;
+    }
+    
+    // Checks the live video until the frame is worth sending, speaking guidance such as
+    // "too dark" or "move the camera left" in the meantime. Resolves true when it's usable.
+    // If only the framing of a page can't be fixed in time, a partial page beats nothing.
+    async waitForUsableFrame(options = {}) {
+        const deadline = Date.now() + this.frameGuidanceTimeoutMs;
+        let lastGuidance = null;
+        let lastGuidanceTime = 0;
+        let result = null;
+        
+        while (true) {
+            result = this.frameChecker.check(this.video, options);
+            this.lastFrameQuality = result;
+            if (!result) {
+                return true; // Video not ready - let the capture report it
+            }
+            if (result.usable) {
+                if (lastGuidance) {
+                    this.haptics.vibrate('frameReady'); // Tell the user they can stop moving
+                }
+                return true;
+            }
+            if (Date.now() >= deadline) {
+                break;
+            }
+            
+            const guidance = result.issues[0];
+            const now = Date.now();
+            if (guidance !== lastGuidance || now - lastGuidanceTime >= this.frameGuidanceRepeatMs) {
+                console.log('Frame not usable:', result.issues.join(', '));
+                this.speak(this.t(guidance), { priority: SPEECH_PRIORITY.CHATTER });
+                lastGuidance = guidance;
+                lastGuidanceTime = now;
+            }
+            
+            await new Promise(resolve => this.timers.setTimeout(resolve, 400));
+        }
+        
+        return result.issues.every(issue => FRAMING_ISSUES.includes(issue));
+    }
+    
+    // Small print needs more pixels than the preview stream gives us. ImageCapture takes a
+    // full-resolution photo where supported; otherwise use the best video frame we can.
+    // region crops to the page found by the frame check.
+    async captureHighResolutionFrame(region = null) {
+        const track = this.camera && this.camera.track;
+        const ImageCaptureClass = this.dependencies.ImageCapture || this.window.ImageCapture;
+        
+        if (track && ImageCaptureClass) {
+            try {
+                const photo = await new ImageCaptureClass(track).takePhoto();
+                const bitmap = await this.window.createImageBitmap(photo);
+                
+                // Photos can have a different aspect ratio from the preview, and then the
+                // page isn't where the region says it is
+                const photoAspect = bitmap.width / bitmap.height;
+                const videoAspect = this.video.videoWidth / this.video.videoHeight;
+                const sameFraming = Math.abs(photoAspect - videoAspect) < 0.02;
+                
+                const frame = this.imagePipeline.process(bitmap, 'text', { region: sameFraming ? region : null });
+                bitmap.close();
+                if (frame) {
+                    return frame.dataUrl;
+                }
+            } catch (error) {
+                console.log('ImageCapture failed, using a video frame instead:', error);
+            }
+        }
+        
+        return this.captureFrame('text', { region });
+    }
+
+    getWakeWords() {
+        if (this.customWakeWord) {
+            return [this.customWakeWord];
+        }
+        
+        // The current language's wake word first, but any of them works
+        const others = Object.keys(LANGUAGES).filter(code => code !== this.language);
+        return [this.language, ...others].flatMap(code => LANGUAGES[code].wakeWords);
+    }
+    
+    getWakeWordName() {
+        const wakeWord = this.customWakeWord || LANGUAGES[this.language].wakeWords[0];
+        return wakeWord.charAt(0).toUpperCase() + wakeWord.slice(1);
+    }
+    
+    // Decides whether a final transcript was meant for the assistant, based on the activation mode
+    handleTranscript(transcript) {
+        if (this.echoFilter.isEcho(transcript)) {
+            console.log('Ignoring echo of our own speech:', transcript);
+            return;
+        }
+        
+        let command = null;
+        
+        if (this.activationMode === ACTIVATION_MODES.PUSH_TO_TALK) {
+            // Holding the screen already says "this is for you"
+            command = transcript;
+        } else if (this.activationMode === ACTIVATION_MODES.ALWAYS_ON) {
+            // Ignore single-word fragments picked up from the background - unless the word is a
+            // command like "stop", "repeat" or "para", which has to work in every mode
+            if (transcript.trim().split(/\s+/).length > 1 || this.commands.match(transcript)) {
+                command = transcript;
+            }
+        } else {
+            const wake = extractAfterWakeWord(transcript, this.getWakeWords());
+            
+            if (wake.heard && wake.command) {
+                command = wake.command;
+            } else if (wake.heard) {
+                // Just the wake word - the question is coming next
+                this.awaitingCommandUntil = Date.now() + this.wakeWindowMs;
+                this.earcons.play('listening');
+                this.haptics.vibrate('listening');
+                this.speak(this.t('wakeAcknowledged'), { priority: SPEECH_PRIORITY.CHATTER });
+                return;
+            } else if (Date.now() < this.awaitingCommandUntil) {
+                command = transcript;
+            }
+        }
+        
+        if (!command) {
+            console.log('Not addressed to the assistant, ignoring:', transcript);
+            return;
+        }
+        
+        this.awaitingCommandUntil = 0;
+        this.haptics.vibrate('accepted');
+        
+        // Stop listening while processing
+        this.speechInput.pause();
+        this.handleVoiceCommand(command);
+    }
+    
+    setActivationMode(mode) {
+        console.log('Switching activation mode to', mode);
+        this.activationMode = mode;
+        this.settings.activationMode = mode;
+        saveSetting('activationMode', mode, this.storage);
+        this.awaitingCommandUntil = 0;
+        
+        this.speechInput.pushToTalk = mode === ACTIVATION_MODES.PUSH_TO_TALK;
+        if (mode === ACTIVATION_MODES.PUSH_TO_TALK) {
+            this.speechInput.stop();
+            this.speak(this.t('pushToTalkMode'));
+        } else {
+            // Listening restarts once the confirmation has been spoken
+            this.speechInput.continuous = true;
+            this.speak(mode === ACTIVATION_MODES.WAKE_WORD ?
+                this.t('wakeWordMode', { wakeWord: this.getWakeWordName() }) :
+                this.t('alwaysOnMode'));
+        }
+    }
+    
+    startPushToTalk(event) {
+        if (this.activationMode !== ACTIVATION_MODES.PUSH_TO_TALK || !this.hasStarted || !this.speechInput.available) {
+            return;
+        }
+        if (this.isAppControlEvent(event) || this.isPanelOpen()) {
+            return;
+        }
+        
+        this.stopAllAudio();
+        this.speechInput.holdStart();
+        this.updateStatus('Listening', 'listening');
+    }
+    
+    endPushToTalk() {
+        this.speechInput.holdEnd();
+    }
+    
+    async handleVoiceCommand(command) {
+        console.log('Processing voice command:', command);
+        this.applyUsageLimits();
+        
+        if (await this.commands.route(command)) {
+            return;
+        }
+        
+        // A question moves on from the text - "repeat" and "next" mean the answer again
+        this.closeReading();
+        
+        // Always capture a fresh image before answering
+        if (!(await this.waitForUsableFrame())) {
+            this.speak(this.t('frameUnusable'));
+            return;
+        }
+        
+        // The camera hasn't moved and nothing else was asked since the same question - the
+        // answer won't change
+        const frameHash = this.lastFrameQuality ? this.lastFrameQuality.hash : null;
+        const cached = this.responseCache.get(frameHash, command, { context: this.getConversationDigest() });
+        if (cached !== null) {
+            this.speak(cached);
+            this.history.add(command, cached);
+            if (this.conversationMode) {
+                this.conversation.remember(command, cached, this.lastCapturedImage);
+                // Again under the conversation as it is now, so asking once more is still a hit
+                this.responseCache.set(frameHash, command, cached, { context: this.getConversationDigest() });
+            }
+            return;
+        }
+        
+        this.lastCapturedImage = this.captureFrame();
+        if (this.lastCapturedImage) {
+            console.log('Image captured successfully, length:', this.lastCapturedImage.length);
+            await this.askAboutScene(command, frameHash);
+        } else {
+            console.error('Failed to capture image');
+            this.speak(this.t('captureFailed'));
+        }
+    }
+    
+    // frameHash: the captured frame's perceptual hash, to cache the answer under
+    async askAboutScene(question, frameHash = null) {
+        try {
+            console.log('Asking about scene:', question);
+            this.isAnalyzing = true;
+            this.updateStatus('Analyzing your question...', 'analyzing');
+            
+            const image = this.lastCapturedImage;
+            const history = this.conversationMode ? this.conversation.buildMessages() : [];
+            
+            // Speak each sentence as soon as it has streamed in instead of waiting for the whole answer
+            const chunker = new SentenceChunker();
+            const requestStarted = performance.now();
+            const controller = new AbortController();
+            this.answerController = controller;
+            
+            const answer = await this.vision.streamAnswer(image, question, {
+                history: history,
+                verbosity: this.getVerbosity(),
+                signal: controller.signal,
+                onResponse: response => {
+                    // How long the upload took - the wait for the response less the time our server
+                    // spent waiting for the model. Used to size the next images. Servers that don't
+                    // say can't be told apart from a slow network, so they're left out.
+                    const serverMs = serverTimingMs(response, 'upstream');
+                    if (serverMs !== null) {
+                        const uploadMs = Math.max(1, performance.now() - requestStarted - serverMs);
+                        this.imagePipeline.network.recordTransfer(dataUrlBytes(image), uploadMs);
+                    }
+                },
+                onDelta: delta => {
+                    if (!controller.signal.aborted) {
+                        chunker.push(delta).forEach(sentence => this.speak(sentence));
+                    }
+                }
+            });
+            
+            const rest = chunker.flush();
+            if (rest) {
+                this.speak(rest);
+            }
+            
+            this.history.add(question, answer);
+            if (this.conversationMode) {
+                this.conversation.remember(question, answer, image);
+            }
+            if (answer) {
+                // Under the conversation including this turn, which is what a repeat of the question comes with
+                this.responseCache.set(frameHash, question, answer, { context: this.getConversationDigest() });
+            }
+            this.updateStatus('Ready', 'ready');
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // The user stopped the answer - it stays unsaid, and out of the history
+                console.log('Answer stopped');
+            } else {
+                console.error('Error asking about scene:', error);
+                this.reportFailure(error);
+            }
+            this.updateStatus('Ready', 'ready');
+        } finally {
+            this.isAnalyzing = false;
+            this.answerController = null;
+        }
+    }
+    
+    resetConversation() {
+        this.conversation.reset();
+        this.responseCache.clear();
+    }
+    
+    getConversationDigest() {
+        return this.conversationMode ? this.conversation.digest : '';
+    }
+    
+    // Says the answer the history points at - the latest, unless the user went back
+    repeatAnswer() {
+        const entry = this.history.current;
+        if (!entry) {
+            this.speak(this.t('repeatNothing'));
+            return;
+        }
+        this.speak(entry.answer);
+    }
+    
+    previousAnswer() {
+        if (this.history.length === 0) {
+            this.speak(this.t('repeatNothing'));
+            return;
+        }
+        
+        const entry = this.history.previous();
+        if (!entry) {
+            this.speak(this.t('historyFirst'));
+            return;
+        }
+        this.speak(this.t('historyEarlier', { question: entry.question, answer: entry.answer }));
+    }
+    
+    nextAnswer() {
+        const entry = this.history.next();
+        if (!entry) {
+            this.speak(this.t(this.history.length === 0 ? 'repeatNothing' : 'historyLast'));
+            return;
+        }
+        this.speak(this.t('historyEarlier', { question: entry.question, answer: entry.answer }));
+    }
+    
+    openHistory() {
+        if (this.historyPanel) {
+            this.historyPanel.open();
+        }
+    }
+    
+    clearHistory() {
+        this.history.clear();
+        this.speak(this.t('historyCleared'));
+    }
+    
+    // direction: 1 for faster, -1 for slower. Saved like the settings slider.
+    changeSpeechRate(direction) {
+        const current = this.settings.speechRate;
+        const rate = Math.min(SPEECH_RATE_LIMITS.max, Math.max(SPEECH_RATE_LIMITS.min,
+            Math.round((current + direction * this.speechRateStep) * 100) / 100));
+        
+        if (rate === current) {
+            this.speak(this.t(direction > 0 ? 'speechFastest' : 'speechSlowest'));
+            return;
+        }
+        
+        console.log('Changing speech rate to', rate);
+        this.settings.speechRate = rate;
+        saveSetting('speechRate', rate, this.storage);
+        this.initializeSpeechOutput();
+        this.speak(this.t(direction > 0 ? 'speechFaster' : 'speechSlower'));
+    }
+    
+    async startReading() {
+        this.speak(this.t('readingStart'));
+        
+        if (!(await this.waitForUsableFrame({ checkDocument: true }))) {
+            this.speak(this.t('frameUnusable'));
+            return;
+        }
+        
+        const page = this.lastFrameQuality && this.lastFrameQuality.region;
+        const image = await this.captureHighResolutionFrame(page);
+        if (!image) {
+            this.speak(this.t('captureFailed'));
+            return;
+        }
+        
+        this.isAnalyzing = true;
+        this.updateStatus('Reading text...', 'analyzing');
+        
+        try {
+            const text = await this.vision.readText(image);
+            
+            const cleaned = (text || '').trim();
+            if (!cleaned || cleaned === 'NO_TEXT') {
+                this.textReader = null;
+                this.speak(this.t('readingNoText'));
+                return;
+            }
+            
+            console.log('Text read:', cleaned);
+            this.textReader = new TextReader(cleaned);
+            this.readCurrentPage();
+            
+            if (this.textReader.pageCount > 1) {
+                this.speak(this.t('readingHint'));
+            }
+        } catch (error) {
+            console.error('Error reading text:', error);
+            this.reportFailure(error);
+        } finally {
+            this.isAnalyzing = false;
+            this.updateStatus('Ready', 'ready');
+        }
+    }
+    
+    readCurrentPage() {
+        const reader = this.textReader;
+        
+        if (reader.pageCount > 1) {
+            this.speak(this.t('readingPage', { page: reader.pageNumber, total: reader.pageCount }));
+        }
+        this.speak(reader.page);
+    }
+    
+    readNextPage() {
+        if (this.textReader.next() === null) {
+            this.speak(this.t('readingEnd'));
+            return;
+        }
+        this.readCurrentPage();
+    }
+    
+    readPreviousPage() {
+        if (this.textReader.previous() === null) {
+            this.speak(this.t('readingFirstPage'));
+            return;
+        }
+        this.readCurrentPage();
+    }
+    
+    spellLastLine() {
+        const line = this.textReader.lastLine();
+        if (!line) {
+            this.speak(this.t('readingNothingToSpell'));
+            return;
+        }
+        
+        this.speak(spellOut(line, SPELLING_NAMES[this.language]));
+    }
+    
+    stopReading() {
+        this.closeReading();
+        this.stopAllAudio();
+        this.speak(this.t('readingStopped'));
+    }
+    
+    // Leaves reading mode without a word, when something else takes over
+    closeReading() {
+        this.textReader = null;
+    }
+    
+    startFinding(target) {
+        this.stopFinding();
+        this.closeReading();
+        
+        console.log('Starting find mode for:', target);
+        this.finder = new ObjectFinder(target);
+        this.speak(this.t('findingStart', { target: target }));
+        
+        this.findTick();
+        this.findTimer = this.timers.setInterval(() => {
+            this.findTick();
+        }, this.findIntervalMs);
+    }
+    
+    stopFinding() {
+        if (this.findTimer) {
+            this.timers.clearInterval(this.findTimer);
+            this.findTimer = null;
+        }
+        this.finder = null;
+    }
+    
+    async findTick() {
+        const finder = this.finder;
+        // Same rules as guide mode: one look at a time, and questions come first
+        if (!finder || this.isScanning || this.isAnalyzing) {
+            return;
+        }
+        
+        if (finder.isTimedOut()) {
+            this.stopFinding();
+            this.speak(this.t('findingTimeout', { target: finder.target }));
+            return;
+        }
+        
+        const frame = this.captureFrame('scene');
+        if (!frame) {
+            console.log('Find mode: no frame available');
+            return;
+        }
+        
+        this.isScanning = true;
+        try {
+            const observation = await this.vision.locateObject(frame, finder.target);
+            // The search may have been stopped or restarted while we waited
+            if (this.finder === finder) {
+                this.announceFindGuidance(finder.update(observation));
+            }
+        } catch (error) {
+            console.error('Find mode error:', error);
+            // Going offline was already announced; a rejected key or empty account ends the search
+            if (this.finder === finder && this.isPersistentFailure(error)) {
+                this.stopFinding();
+                this.reportFailure(error);
+            }
+        } finally {
+            this.isScanning = false;
+        }
+    }
+    
+    announceFindGuidance(guidance) {
+        const positionKeys = { left: 'positionLeft', center: 'positionCenter', right: 'positionRight' };
+        const distanceKeys = { near: 'distanceNear', medium: 'distanceMedium', far: 'distanceFar' };
+        const where = {
+            position: guidance.position ? this.t(positionKeys[guidance.position]) : '',
+            distance: guidance.distance ? this.t(distanceKeys[guidance.distance]) : ''
+        };
+        
+        // A tone from the object's direction, higher the closer it is
+        if (guidance.type === 'found') {
+            this.earcons.play('found', { position: guidance.position });
+            this.haptics.vibrate('found');
+        } else if (guidance.position) {
+            const pitch = { near: 1.5, medium: 1.25, far: 1 }[guidance.distance] || 1;
+            this.earcons.play('object', { position: guidance.position, pitch: pitch });
+        }
+        
+        switch (guidance.type) {
+            case 'found':
+                this.stopFinding();
+                this.speak(this.t('findingFound', where));
+                break;
+            case 'seen':
+                this.speak(this.t('findingSeen', where));
+                break;
+            case 'warmer':
+                this.speak(this.t('findingWarmer', where));
+                break;
+            case 'colder':
+                this.speak(this.t('findingColder', where));
+                break;
+            case 'lost':
+                this.speak(this.t('findingLost'));
+                break;
+            // Nothing changed - fine to skip if something else is being said
+            case 'steady':
+                this.speak(this.t('findingSteady', where), { priority: SPEECH_PRIORITY.CHATTER });
+                break;
+            case 'notYet':
+                this.speak(this.t('findingNotYet'), { priority: SPEECH_PRIORITY.CHATTER });
+                break;
+        }
+    }
+    
+    startGuideMode() {
+        if (this.guideMode) {
+            this.speak(this.t('guideAlreadyOn'));
+            return;
+        }
+        
+        console.log('Starting guide mode');
+        this.closeReading();
+        this.guideMode = true;
+        this.announcedHazards.clear();
+        this.guideBlindIssue = null;
+        this.speak(this.t('guideOn'));
+        
+        this.guideModeTimer = this.timers.setInterval(() => {
+            this.guideModeTick();
+        }, this.guideModeIntervalMs);
+    }
+    
+    stopGuideMode() {
+        console.log('Stopping guide mode');
+        this.guideMode = false;
+        
+        if (this.guideModeTimer) {
+            this.timers.clearInterval(this.guideModeTimer);
+            this.guideModeTimer = null;
+        }
+        
+        this.announcedHazards.clear();
+        this.guideBlindIssue = null;
+        this.speak(this.t('guideOff'));
+    }
+    
+    async guideModeTick() {
+        // Never let scans pile up, and leave the camera to questions and searches the user asked for
+        if (!this.guideMode || this.isScanning || this.isAnalyzing || this.finder) {
+            return;
+        }
+        
+        // No guidance while walking - just don't pay for a scan of a black or washed-out frame.
+        // Motion blur is expected here and a blurry frame still shows stairs.
+        const quality = this.frameChecker.check(this.video);
+        const blindIssue = quality ? quality.issues.find(issue => issue === FRAME_ISSUES.TOO_DARK || issue === FRAME_ISSUES.TOO_BRIGHT) : null;
+        if (blindIssue) {
+            console.log('Guide mode: skipping unusable frame:', quality.issues.join(', '));
+            this.warnGuideBlind(blindIssue);
+            return;
+        }
+        this.guideBlindIssue = null;
+        
+        const frame = this.captureFrame('hazards');
+        if (!frame) {
+            console.log('Guide mode: no frame available');
+            return;
+        }
+        
+        this.isScanning = true;
+        try {
+            const hazards = await this.vision.scanForHazards(frame);
+            const newHazards = this.filterNewHazards(hazards);
+            
+            // The user may have turned guide mode off while we were waiting
+            if (this.guideMode && newHazards.length > 0) {
+                const warning = newHazards.map(hazard => hazard.description).join(' ');
+                console.log('Guide mode warning:', warning);
+                // The most severe hazard comes first; its cue comes from its direction
+                this.earcons.play('hazard', { position: newHazards[0].position });
+                this.haptics.hazard(newHazards[0].severity);
+                this.speak(warning, { priority: SPEECH_PRIORITY.HAZARD });
+            }
+        } catch (error) {
+            console.error('Guide mode scan failed:', error);
+            if (this.guideMode && this.isPersistentFailure(error)) {
+                this.stopGuideMode();
+                this.reportFailure(error);
+            }
+        } finally {
+            this.isScanning = false;
+        }
+    }
+    
+    // The user is relying on guide mode, so it says when it can't see rather than going quiet
+    warnGuideBlind(issue) {
+        const now = Date.now();
+        if (issue === this.guideBlindIssue && now - this.guideBlindWarnedAt < this.guideBlindRepeatMs) {
+            return;
+        }
+        
+        this.guideBlindIssue = issue;
+        this.guideBlindWarnedAt = now;
+        this.haptics.vibrate('guideBlind');
+        this.speak(this.t(issue === FRAME_ISSUES.TOO_DARK ? 'guideTooDark' : 'guideTooBright'));
+    }
+    
+    filterNewHazards(hazards) {
+        const now = Date.now();
+        const severityOrder = { high: 0, medium: 1, low: 2 };
+        
+        // Forget hazards we haven't seen for a while so they get announced again
+        this.announcedHazards.forEach((time, key) => {
+            if (now - time > this.hazardRepeatMs) {
+                this.announcedHazards.delete(key);
+            }
+        });
+        
+        const newHazards = new Map(); // hazard key -> hazard
+        hazards.forEach(hazard => {
+            const key = `${String(hazard.type || hazard.description).toLowerCase()}|${String(hazard.position || '').toLowerCase()}`;
+            
+            if (this.announcedHazards.has(key)) {
+                // Still in view - keep suppressing it
+                this.announcedHazards.set(key, now);
+            } else if (!newHazards.has(key)) {
+                newHazards.set(key, hazard);
+            }
+        });
+        
+        // Most severe first, and at most two at a time so warnings stay short. Only those count
+        // as announced - the rest are still new on the next scan.
+        const announced = Array.from(newHazards.entries())
+            .sort(([, a], [, b]) => (severityOrder[a.severity] ?? 1) - (severityOrder[b.severity] ?? 1))
+            .slice(0, 2);
+        announced.forEach(([key]) => this.announcedHazards.set(key, now));
+        return announced.map(([, hazard]) => hazard);
+    }
+}
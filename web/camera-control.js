@@ -0,0 +1,131 @@
+// Camera control
+// Which camera is used, the torch and zoom. Torch and zoom are only exposed through
+// MediaStreamTrack capabilities on some devices and browsers (mostly Chrome on Android),
+// so each call reports whether it worked and the app tells the user when it didn't.
+
+export const CAMERA_FACING = {
+    REAR: 'environment',
+    FRONT: 'user'
+};
+
+export class CameraController {
+    // options.mediaDevices replaces navigator.mediaDevices, e.g. with a fake in tests
+    constructor(video, facing = CAMERA_FACING.REAR, options = {}) {
+        this.video = video;
+        this.mediaDevices = options.mediaDevices || navigator.mediaDevices;
+        this.stream = null;
+        this.facing = facing;
+        this.torchOn = false;
+        this.zoomFactor = 1.5; // Each "zoom in" multiplies the zoom by this much
+    }
+
+    get track() {
+        return this.stream ? this.stream.getVideoTracks()[0] : null;
+    }
+
+    async start(facing = this.facing) {
+        const constraints = {
+            video: {
+                width: { ideal: 1280, max: 1920 },
+                height: { ideal: 720, max: 1080 },
+                facingMode: { ideal: facing },
+                aspectRatio: { ideal: 16/9 }
+            },
+            audio: false
+        };
+
+        this.stop();
+        this.stream = await this.mediaDevices.getUserMedia(constraints);
+        this.video.srcObject = this.stream;
+        this.facing = facing;
+        this.torchOn = false; // The torch goes off with the old track
+
+        return this.stream;
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    // Resolves false when the device has only one camera or ignored the request
+    async switchTo(facing) {
+        const cameras = await this.countCameras();
+        if (cameras !== null && cameras < 2) {
+            return false;
+        }
+
+        await this.start(facing);
+
+        // facingMode is only a preference - check what we actually got where the browser says
+        const actual = this.track && this.track.getSettings ? this.track.getSettings().facingMode : undefined;
+        if (actual === undefined) {
+            return true;
+        }
+        this.facing = actual;
+        return actual === facing;
+    }
+
+    // Null when the browser won't say
+    async countCameras() {
+        if (!this.mediaDevices.enumerateDevices) {
+            return null;
+        }
+        const devices = await this.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput').length;
+    }
+
+    capabilities() {
+        const track = this.track;
+        return track && track.getCapabilities ? track.getCapabilities() : {};
+    }
+
+    hasTorch() {
+        return Boolean(this.capabilities().torch);
+    }
+
+    // Resolves false when this camera has no torch the browser can control
+    async setTorch(on) {
+        if (!this.hasTorch()) {
+            return false;
+        }
+
+        await this.track.applyConstraints({ advanced: [{ torch: on }] });
+        this.torchOn = on;
+        return true;
+    }
+
+    // { min, max, current } or null when zoom isn't supported
+    zoomRange() {
+        const zoom = this.capabilities().zoom;
+        if (!zoom || !(zoom.max > zoom.min)) {
+            return null;
+        }
+
+        const settings = this.track.getSettings ? this.track.getSettings() : {};
+        return { min: zoom.min, max: zoom.max, current: settings.zoom || zoom.min };
+    }
+
+    // direction: 1 zooms in, -1 zooms out, 0 resets. Resolves to the new zoom level,
+    // the unchanged level when already at the limit, or null when zoom isn't supported.
+    async stepZoom(direction) {
+        const range = this.zoomRange();
+        if (!range) {
+            return null;
+        }
+
+        let target = range.min;
+        if (direction > 0) {
+            target = Math.min(range.max, range.current * this.zoomFactor);
+        } else if (direction < 0) {
+            target = Math.max(range.min, range.current / this.zoomFactor);
+        }
+
+        if (target !== range.current) {
+            await this.track.applyConstraints({ advanced: [{ zoom: target }] });
+        }
+        return target;
+    }
+}
@@ -0,0 +1,165 @@
+// Voice commands
+// A registry of the things the user can tell the app to do (switch camera, guide mode, read
+// this...). Each command says when it applies, which phrases trigger it, what it takes from
+// the words and what it does. Anything that isn't a command is a question about the scene.
+
+import { extractCommandArgument, findLanguageRequest, matchesCommand } from './i18n.js';
+import { ACTIVATION_MODES } from './activation.js';
+import { CAMERA_FACING } from './camera-control.js';
+
+// A command is { name, phrases, slot, parse, when, handle }:
+//   phrases - a name in COMMAND_PHRASES or a table of the same shape; the command's name by default
+//   slot    - parameter that gets the words the phrase pattern captures ("find my keys" -> { target: 'keys' })
+//   parse   - (text, language) => params or null, for commands that phrases can't describe
+//   when    - (app) => false while the command doesn't apply, e.g. reading controls when nothing is read
+//   handle  - (app, params) => carries it out; may return a promise
+// Commands are tried in order and the first match wins, so more specific ones come first.
+export const BUILT_IN_COMMANDS = [
+    // Language switches are understood in every supported language
+    {
+        name: 'switchLanguage',
+        parse: text => {
+            const language = findLanguageRequest(text);
+            return language ? { language: language } : null;
+        },
+        handle: (app, params) => app.setLanguage(params.language)
+    },
+
+    // Reading controls only mean something while there is text being read
+    { name: 'readStop', when: isReading, handle: app => app.stopReading() },
+    { name: 'readNext', when: isReading, handle: app => app.readNextPage() },
+    { name: 'readPrevious', when: isReading, handle: app => app.readPreviousPage() },
+    { name: 'readRepeat', when: isReading, handle: app => app.readCurrentPage() },
+    { name: 'readSpell', when: isReading, handle: app => app.spellLastLine() },
+
+    { name: 'frontCamera', handle: app => app.switchCamera(CAMERA_FACING.FRONT) },
+    { name: 'rearCamera', handle: app => app.switchCamera(CAMERA_FACING.REAR) },
+    {
+        name: 'switchCamera',
+        handle: app => app.switchCamera(app.camera.facing === CAMERA_FACING.FRONT ? CAMERA_FACING.REAR : CAMERA_FACING.FRONT)
+    },
+    { name: 'torchOn', handle: app => app.setTorch(true) },
+    { name: 'torchOff', handle: app => app.setTorch(false) },
+    { name: 'zoomIn', handle: app => app.zoom(1) },
+    { name: 'zoomOut', handle: app => app.zoom(-1) },
+    { name: 'zoomReset', handle: app => app.zoom(0) },
+
+    {
+        name: 'findStop',
+        when: app => Boolean(app.finder),
+        handle: app => {
+            app.stopFinding();
+            app.speak(app.t('findingStopped'));
+        }
+    },
+    { name: 'findObject', slot: 'target', handle: (app, params) => app.startFinding(params.target) },
+
+    { name: 'readText', handle: app => app.startReading() },
+    { name: 'openSettings', handle: app => app.openSettings() },
+    { name: 'installApp', handle: app => app.explainInstall() },
+    { name: 'help', handle: app => app.speak(app.t('help')) },
+    { name: 'repeatAnswer', handle: app => app.repeatAnswer() },
+    { name: 'previousAnswer', handle: app => app.previousAnswer() },
+    { name: 'nextAnswer', handle: app => app.nextAnswer() },
+    { name: 'openHistory', handle: app => app.openHistory() },
+    { name: 'clearHistory', handle: app => app.clearHistory() },
+    { name: 'usageReport', handle: app => app.reportUsage() },
+    { name: 'shorterAnswers', handle: app => app.changeVerbosity(-1) },
+    { name: 'longerAnswers', handle: app => app.changeVerbosity(1) },
+    { name: 'rememberAboutMe', slot: 'fact', handle: (app, params) => app.rememberAboutUser(params.fact) },
+    { name: 'forgetAboutMe', handle: app => app.forgetAboutUser() },
+    { name: 'speakSlower', handle: app => app.changeSpeechRate(-1) },
+    { name: 'speakFaster', handle: app => app.changeSpeechRate(1) },
+
+    // Guide mode has to be checked before the generic stop command
+    { name: 'guideOff', handle: app => app.stopGuideMode() },
+    { name: 'guideOn', handle: app => app.startGuideMode() },
+    { name: 'guideToggle', handle: app => (app.guideMode ? app.stopGuideMode() : app.startGuideMode()) },
+
+    { name: 'wakeWordMode', handle: app => app.setActivationMode(ACTIVATION_MODES.WAKE_WORD) },
+    { name: 'pushToTalkMode', handle: app => app.setActivationMode(ACTIVATION_MODES.PUSH_TO_TALK) },
+    { name: 'alwaysOnMode', handle: app => app.setActivationMode(ACTIVATION_MODES.ALWAYS_ON) },
+
+    {
+        name: 'newConversation',
+        handle: app => {
+            app.resetConversation();
+            app.speak(app.t('newConversation'));
+        }
+    },
+
+    {
+        name: 'stop',
+        handle: app => {
+            app.stopAllAudio();
+            app.closeReading();
+            // A search keeps talking, so "stop" ends it as well
+            if (app.finder) {
+                app.stopFinding();
+            }
+        }
+    }
+];
+
+function isReading(app) {
+    return Boolean(app.textReader);
+}
+
+// The command's parameters if the text triggers it, otherwise null
+function parseCommand(command, language, text) {
+    if (command.parse) {
+        return command.parse(text, language);
+    }
+
+    const phrases = command.phrases || command.name;
+    if (command.slot) {
+        const value = extractCommandArgument(language, phrases, text);
+        return value ? { [command.slot]: value } : null;
+    }
+    return matchesCommand(language, phrases, text) ? {} : null;
+}
+
+export class CommandRouter {
+    // app: the BlindVisionApp the commands act on. commands: the registry, the built-ins by default
+    constructor(app, commands = BUILT_IN_COMMANDS) {
+        this.app = app;
+        this.commands = [...commands];
+    }
+
+    // Adds a command at the end, or just ahead of the one named in options.before
+    register(command, options = {}) {
+        const index = options.before ? this.commands.findIndex(existing => existing.name === options.before) : -1;
+        this.commands.splice(index === -1 ? this.commands.length : index, 0, command);
+    }
+
+    unregister(name) {
+        this.commands = this.commands.filter(command => command.name !== name);
+    }
+
+    // The first command the text triggers, as { command, params }, or null for a question
+    match(text) {
+        for (const command of this.commands) {
+            if (command.when && !command.when(this.app)) {
+                continue;
+            }
+
+            const params = parseCommand(command, this.app.language, text);
+            if (params) {
+                return { command: command, params: params };
+            }
+        }
+        return null;
+    }
+
+    // Resolves true when the text was a command and has been handled
+    async route(text) {
+        const match = this.match(text);
+        if (!match) {
+            return false;
+        }
+
+        console.log('Voice command:', match.command.name, match.params);
+        await match.command.handle(this.app, match.params);
+        return true;
+    }
+}
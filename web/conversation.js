@@ -0,0 +1,86 @@
+// Conversation memory
+// Earlier questions and answers are sent along with a new question so follow-ups like
+// "what colour is it?" make sense. The memory is short and forgotten after a quiet spell.
+
+export class Conversation {
+    // options: { maxTurns, includeFrames, maxFrames, timeoutMs, timers }
+    constructor(options = {}) {
+        this.turns = [];
+        this.maxTurns = options.maxTurns || 6;
+        this.includeFrames = Boolean(options.includeFrames); // Also send earlier frames (costs more tokens)
+        this.maxFrames = options.maxFrames || 2;
+        this.timeoutMs = options.timeoutMs || 2 * 60 * 1000; // Forget the conversation after 2 minutes of silence
+        this.timers = options.timers || globalThis;
+        this.expiryTimer = null;
+    }
+
+    get length() {
+        return this.turns.length;
+    }
+
+    // What has been said so far, as one string - the same turns give the same digest
+    get digest() {
+        return this.turns.map(turn => `${turn.question}\n${turn.answer}`).join('\n\n');
+    }
+
+    // Chat messages for the earlier turns, oldest first
+    buildMessages() {
+        const messages = [];
+        // Only the most recent earlier frames are re-sent to keep requests small
+        const firstFrameTurn = this.turns.length - this.maxFrames;
+
+        this.turns.forEach((turn, index) => {
+            if (this.includeFrames && turn.image && index >= firstFrameTurn) {
+                messages.push({
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: turn.question },
+                        { type: 'image_url', image_url: { url: turn.image } }
+                    ]
+                });
+            } else {
+                messages.push({ role: 'user', content: turn.question });
+            }
+            messages.push({ role: 'assistant', content: turn.answer });
+        });
+
+        return messages;
+    }
+
+    remember(question, answer, image) {
+        this.turns.push({
+            question: question,
+            answer: answer,
+            image: this.includeFrames ? image : null,
+            time: Date.now()
+        });
+
+        // Keep the history bounded
+        if (this.turns.length > this.maxTurns) {
+            this.turns.splice(0, this.turns.length - this.maxTurns);
+        }
+
+        this.scheduleExpiry();
+    }
+
+    scheduleExpiry() {
+        if (this.expiryTimer) {
+            this.timers.clearTimeout(this.expiryTimer);
+        }
+
+        this.expiryTimer = this.timers.setTimeout(() => {
+            console.log('Conversation expired after inactivity');
+            this.reset();
+        }, this.timeoutMs);
+    }
+
+    reset() {
+        console.log('Resetting conversation, turns forgotten:', this.turns.length);
+        this.turns = [];
+
+        if (this.expiryTimer) {
+            this.timers.clearTimeout(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+}
@@ -0,0 +1,125 @@
+// Earcons - short sounds for what the app is doing
+// Blind users can't see the status dot, and waiting for speech to say "listening" is slow.
+// Each state gets a distinct sound, and cues about things in the scene are panned left or
+// right so the sound comes from the direction of the object.
+
+// Each pattern is a sequence of tones: frequency in Hz, duration in seconds
+export const EARCON_PATTERNS = {
+    listening: [{ frequency: 660, duration: 0.07 }, { frequency: 880, duration: 0.09 }], // Rising
+    ready: [{ frequency: 880, duration: 0.07 }, { frequency: 660, duration: 0.09 }],     // Falling
+    analyzing: [{ frequency: 520, duration: 0.04, volume: 0.5 }],                          // Soft tick, repeated
+    error: [{ frequency: 220, duration: 0.15, type: 'square' }, { frequency: 196, duration: 0.2, type: 'square' }],
+    found: [{ frequency: 660, duration: 0.08 }, { frequency: 830, duration: 0.08 }, { frequency: 990, duration: 0.14 }],
+    hazard: [{ frequency: 1200, duration: 0.08, type: 'sawtooth' }, { frequency: 1200, duration: 0.08, type: 'sawtooth' }],
+    object: [{ frequency: 740, duration: 0.12 }]
+};
+
+// Where "left", "ahead" and "right" are in the stereo field
+export const EARCON_PAN = {
+    left: -0.8,
+    center: 0,
+    ahead: 0,
+    right: 0.8
+};
+
+export class Earcons {
+    // options: { enabled, volume, AudioContext } - AudioContext replaces the browser's, e.g. in tests
+    constructor(options = {}) {
+        this.AudioContext = options.AudioContext !== undefined ? options.AudioContext :
+            (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null);
+        this.enabled = options.enabled !== false;
+        this.volume = options.volume || 0.25;
+        this.gapSeconds = 0.03;
+        this.context = null;
+        this.loopTimer = null;
+    }
+
+    // Browsers only allow audio after a user gesture, so the context is made on first use
+    getContext() {
+        if (!this.AudioContext) {
+            return null;
+        }
+
+        if (!this.context) {
+            this.context = new this.AudioContext();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return this.context;
+    }
+
+    // options: { position: 'left' | 'center' | 'ahead' | 'right', pitch: frequency multiplier }
+    play(name, options = {}) {
+        const pattern = EARCON_PATTERNS[name];
+        if (!this.enabled || !pattern) {
+            return;
+        }
+
+        const context = this.getContext();
+        if (!context) {
+            return;
+        }
+
+        const output = this.createOutput(context, EARCON_PAN[options.position] || 0);
+        let start = context.currentTime;
+
+        pattern.forEach(tone => {
+            this.playTone(context, output, tone, start, options.pitch || 1);
+            start += tone.duration + this.gapSeconds;
+        });
+    }
+
+    // A panner where the browser has one (not older Safari), otherwise straight to the speakers
+    createOutput(context, pan) {
+        if (!pan || !context.createStereoPanner) {
+            return context.destination;
+        }
+
+        const panner = context.createStereoPanner();
+        panner.pan.value = pan;
+        panner.connect(context.destination);
+        return panner;
+    }
+
+    playTone(context, output, tone, start, pitch) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const peak = this.volume * (tone.volume || 1);
+
+        oscillator.type = tone.type || 'sine';
+        oscillator.frequency.value = tone.frequency * pitch;
+
+        // Short fade in and out so tones don't click
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(peak, start + 0.01);
+        gain.gain.setValueAtTime(peak, start + tone.duration - 0.02);
+        gain.gain.linearRampToValueAtTime(0, start + tone.duration);
+
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(start);
+        oscillator.stop(start + tone.duration);
+    }
+
+    // Repeats an earcon until stopLoop - the "still thinking" tick
+    startLoop(name, intervalMs = 1200) {
+        this.stopLoop();
+        this.play(name);
+        this.loopTimer = setInterval(() => this.play(name), intervalMs);
+    }
+
+    stopLoop() {
+        if (this.loopTimer) {
+            clearInterval(this.loopTimer);
+            this.loopTimer = null;
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.stopLoop();
+        }
+    }
+}
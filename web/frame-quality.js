@@ -0,0 +1,299 @@
+// Checking camera frames before they are sent
+// Blind users can't see what the camera is pointed at, so a black, blurry or badly framed
+// frame would otherwise go off to the vision API and come back as a useless answer.
+// Each frame is scored on a small grayscale copy and turned into guidance instead.
+
+export const FRAME_ISSUES = {
+    TOO_DARK: 'frameTooDark',
+    TOO_BRIGHT: 'frameTooBright',
+    BLURRY: 'frameBlurry',
+    MOVE_LEFT: 'frameMoveLeft',
+    MOVE_RIGHT: 'frameMoveRight',
+    MOVE_UP: 'frameMoveUp',
+    MOVE_DOWN: 'frameMoveDown',
+    MOVE_BACK: 'frameMoveBack',
+    MOVE_CLOSER: 'frameMoveCloser'
+};
+
+// Issues about where the page is rather than whether the picture is readable at all
+export const FRAMING_ISSUES = [
+    FRAME_ISSUES.MOVE_LEFT,
+    FRAME_ISSUES.MOVE_RIGHT,
+    FRAME_ISSUES.MOVE_UP,
+    FRAME_ISSUES.MOVE_DOWN,
+    FRAME_ISSUES.MOVE_BACK,
+    FRAME_ISSUES.MOVE_CLOSER
+];
+
+export class FrameQualityChecker {
+    // Thresholds are for the downscaled sample, not the full camera frame.
+    // options.canvas replaces the canvas the frames are drawn on, e.g. in tests.
+    constructor(options = {}) {
+        this.sampleWidth = options.sampleWidth || 160;
+        this.thresholds = {
+            minBrightness: options.minBrightness || 35,
+            maxBrightness: options.maxBrightness || 225,
+            minSharpness: options.minSharpness || 40,
+            minContrast: options.minContrast || 20
+        };
+        this.canvas = options.canvas || document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    // Returns { usable, issues, brightness, sharpness, bounds, region, hash } or null when the video isn't ready.
+    // bounds is the page in sample pixels, region the same as fractions of the frame, hash the
+    // frame's perceptualHash.
+    // options.checkDocument also checks that a page is fully in view.
+    check(video, options = {}) {
+        if (!video || !video.videoWidth) {
+            return null;
+        }
+
+        const width = this.sampleWidth;
+        const height = Math.round(video.videoHeight * width / video.videoWidth);
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.drawImage(video, 0, 0, width, height);
+
+        const gray = toGrayscale(this.ctx.getImageData(0, 0, width, height).data);
+        const result = analyzeFrame(gray, width, height, { ...this.thresholds, checkDocument: options.checkDocument });
+        result.hash = perceptualHash(gray, width, height);
+        return result;
+    }
+}
+
+export function analyzeFrame(gray, width, height, options = {}) {
+    const brightness = mean(gray);
+    const contrast = Math.sqrt(variance(gray, brightness));
+    const result = { usable: false, issues: [], brightness, sharpness: 0, bounds: null, region: null };
+
+    // Nothing else can be judged in a black or washed-out frame
+    if (brightness < options.minBrightness) {
+        result.issues.push(FRAME_ISSUES.TOO_DARK);
+        return result;
+    }
+    if (brightness > options.maxBrightness) {
+        result.issues.push(FRAME_ISSUES.TOO_BRIGHT);
+        return result;
+    }
+
+    if (options.checkDocument) {
+        result.bounds = findDocumentBounds(gray, width, height);
+        if (result.bounds) {
+            result.issues.push(...documentGuidance(result.bounds, width, height));
+            result.region = boundsToRegion(result.bounds, width, height);
+        }
+    }
+
+    // A plain wall has few edges but isn't blurry, so only judge frames with some content
+    result.sharpness = laplacianVariance(gray, width, height);
+    if (contrast >= options.minContrast && result.sharpness < options.minSharpness) {
+        result.issues.push(FRAME_ISSUES.BLURRY);
+    }
+
+    result.usable = result.issues.length === 0;
+    return result;
+}
+
+export function toGrayscale(rgba) {
+    const gray = new Uint8ClampedArray(rgba.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+    }
+    return gray;
+}
+
+function mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+    }
+    return values.length ? sum / values.length : 0;
+}
+
+function variance(values, average) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += (values[i] - average) ** 2;
+    }
+    return values.length ? sum / values.length : 0;
+}
+
+// Variance of the Laplacian: sharp frames have strong edges, blurry ones don't
+export function laplacianVariance(gray, width, height) {
+    const responses = [];
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            responses.push(gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i]);
+        }
+    }
+    return variance(responses, mean(responses));
+}
+
+// Pages are usually lighter than what they lie on. Splits the frame into light and dark
+// with Otsu's threshold and returns the box of rows and columns that are mostly light,
+// or null when there's no clear page.
+export function findDocumentBounds(gray, width, height) {
+    const threshold = otsuThreshold(gray);
+    if (threshold === null) {
+        return null;
+    }
+
+    const rowLight = new Array(height).fill(0);
+    const columnLight = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] > threshold) {
+                rowLight[y]++;
+                columnLight[x]++;
+            }
+        }
+    }
+
+    // Rows and columns at least half as light as the lightest one belong to the page
+    const widest = Math.max(...rowLight);
+    const tallest = Math.max(...columnLight);
+    if (widest < width * 0.1 || tallest < height * 0.1) {
+        return null;
+    }
+
+    const rows = rowLight.map(count => count >= widest * 0.5);
+    const columns = columnLight.map(count => count >= tallest * 0.5);
+    const top = rows.indexOf(true);
+    const left = columns.indexOf(true);
+    if (top === -1 || left === -1) {
+        return null;
+    }
+
+    return {
+        top,
+        left,
+        bottom: rows.lastIndexOf(true),
+        right: columns.lastIndexOf(true)
+    };
+}
+
+// Returns null for frames without two clearly separated tones
+export function otsuThreshold(gray) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < gray.length; i++) {
+        histogram[gray[i]]++;
+    }
+
+    let total = 0;
+    for (let level = 0; level < 256; level++) {
+        total += level * histogram[level];
+    }
+
+    let best = { threshold: null, separation: 0 };
+    let backgroundCount = 0;
+    let backgroundSum = 0;
+    for (let level = 0; level < 256; level++) {
+        backgroundCount += histogram[level];
+        const foregroundCount = gray.length - backgroundCount;
+        if (backgroundCount === 0) continue;
+        if (foregroundCount === 0) break;
+
+        backgroundSum += level * histogram[level];
+        const backgroundMean = backgroundSum / backgroundCount;
+        const foregroundMean = (total - backgroundSum) / foregroundCount;
+        const separation = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+        if (separation > best.separation) {
+            best = { threshold: level, separation, gap: foregroundMean - backgroundMean };
+        }
+    }
+
+    return best.gap >= 40 ? best.threshold : null;
+}
+
+// A page touching one edge of the frame is cut off on that side, so the camera should
+// move that way. Touching opposite edges means the camera is too close.
+export function documentGuidance(bounds, width, height) {
+    const marginX = Math.max(1, Math.round(width * 0.02));
+    const marginY = Math.max(1, Math.round(height * 0.02));
+    const touches = {
+        left: bounds.left <= marginX,
+        right: bounds.right >= width - 1 - marginX,
+        top: bounds.top <= marginY,
+        bottom: bounds.bottom >= height - 1 - marginY
+    };
+
+    if ((touches.left && touches.right) || (touches.top && touches.bottom)) {
+        return [FRAME_ISSUES.MOVE_BACK];
+    }
+
+    const issues = [];
+    if (touches.left) issues.push(FRAME_ISSUES.MOVE_LEFT);
+    if (touches.right) issues.push(FRAME_ISSUES.MOVE_RIGHT);
+    if (touches.top) issues.push(FRAME_ISSUES.MOVE_UP);
+    if (touches.bottom) issues.push(FRAME_ISSUES.MOVE_DOWN);
+
+    const area = (bounds.right - bounds.left + 1) * (bounds.bottom - bounds.top + 1);
+    if (issues.length === 0 && area < width * height * 0.2) {
+        issues.push(FRAME_ISSUES.MOVE_CLOSER);
+    }
+
+    return issues;
+}
+
+// The page's box as fractions of the frame, with a margin so no edge text is lost to the crop
+export function boundsToRegion(bounds, width, height, margin = 0.04) {
+    const x = Math.max(0, bounds.left / width - margin);
+    const y = Math.max(0, bounds.top / height - margin);
+    return {
+        x,
+        y,
+        width: Math.min(1, (bounds.right + 1) / width + margin) - x,
+        height: Math.min(1, (bounds.bottom + 1) / height + margin) - y
+    };
+}
+
+// Difference hash: the frame shrunk to 9x8 cells, one bit per pair of neighbouring cells saying
+// which is brighter. Pointing the camera elsewhere flips many bits; sensor noise and small
+// changes in light flip few. Returned as 16 hex digits.
+export function perceptualHash(gray, width, height) {
+    const columns = 9;
+    const rows = 8;
+    const sums = new Array(columns * rows).fill(0);
+    const counts = new Array(columns * rows).fill(0);
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y * rows / height);
+        for (let x = 0; x < width; x++) {
+            const cell = row * columns + Math.floor(x * columns / width);
+            sums[cell] += gray[y * width + x];
+            counts[cell]++;
+        }
+    }
+
+    let hash = '';
+    for (let row = 0; row < rows; row++) {
+        let byte = 0;
+        for (let column = 0; column < columns - 1; column++) {
+            const cell = row * columns + column;
+            const left = counts[cell] ? sums[cell] / counts[cell] : 0;
+            const right = counts[cell + 1] ? sums[cell + 1] / counts[cell + 1] : 0;
+            byte = (byte << 1) | (left > right ? 1 : 0);
+        }
+        hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+}
+
+// How many bits two perceptual hashes differ in; Infinity if either is missing
+export function hashDistance(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return Infinity;
+    }
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
@@ -0,0 +1,74 @@
+// Haptic feedback
+// A second channel next to speech and earcons for when the street is too loud to hear
+// either. Uses the Vibration API, which Android browsers support and iOS Safari doesn't.
+
+// Vibration patterns in milliseconds: vibrate, pause, vibrate, ...
+export const HAPTIC_PATTERNS = {
+    listening: [40],
+    accepted: [30, 60, 30],
+    failed: [200, 100, 200],
+    frameReady: [60],
+    found: [100, 50, 100, 50, 250],
+    hazardHigh: [400, 100, 400, 100, 400],
+    hazardMedium: [250, 120, 250],
+    hazardLow: [120],
+    guideBlind: [60, 60, 60, 60, 60, 60, 60] // Guide mode can't see - too dark or too much glare
+};
+
+// Scales how long each vibration lasts; pauses stay the same so patterns stay recognisable
+export const HAPTIC_INTENSITIES = {
+    light: 0.6,
+    normal: 1,
+    strong: 1.6
+};
+
+export class Haptics {
+    // options: { enabled, intensity, patterns } - patterns override the defaults by name
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.intensity = HAPTIC_INTENSITIES[options.intensity] || HAPTIC_INTENSITIES.normal;
+        this.patterns = { ...HAPTIC_PATTERNS, ...(options.patterns || {}) };
+    }
+
+    get supported() {
+        return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+    }
+
+    // Returns false when nothing vibrated (disabled, unsupported or unknown pattern)
+    vibrate(name) {
+        const pattern = this.patterns[name];
+        if (!this.enabled || !this.supported || !pattern) {
+            return false;
+        }
+
+        return navigator.vibrate(this.scale(pattern));
+    }
+
+    // severity: 'high' | 'medium' | 'low', as reported by the hazard scan
+    hazard(severity) {
+        const names = { high: 'hazardHigh', medium: 'hazardMedium', low: 'hazardLow' };
+        return this.vibrate(names[severity] || names.medium);
+    }
+
+    scale(pattern) {
+        return pattern.map((duration, index) => (index % 2 === 0 ? Math.round(duration * this.intensity) : duration));
+    }
+
+    stop() {
+        if (this.supported) {
+            navigator.vibrate(0);
+        }
+    }
+
+    configure(options = {}) {
+        if (options.enabled !== undefined) {
+            this.enabled = options.enabled;
+        }
+        if (options.intensity !== undefined) {
+            this.intensity = HAPTIC_INTENSITIES[options.intensity] || HAPTIC_INTENSITIES.normal;
+        }
+        if (!this.enabled) {
+            this.stop();
+        }
+    }
+}
@@ -0,0 +1,676 @@
+// Languages, spoken messages and voice command phrases
+// Everything the app says or listens for is looked up here by language, so adding a
+// language means adding an entry to LANGUAGES, MESSAGES and COMMAND_PHRASES.
+
+export const LANGUAGES = {
+    en: {
+        name: 'English',
+        nativeName: 'English',
+        locale: 'en-US',
+        wakeWords: ['assistant'],
+        // How people refer to this language, in any supported language (accents stripped)
+        names: ['english', 'ingles']
+    },
+    es: {
+        name: 'Spanish',
+        nativeName: 'Español',
+        locale: 'es-ES',
+        wakeWords: ['asistente'],
+        names: ['spanish', 'espanol', 'castellano']
+    }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Words for characters that speech engines skip or mispronounce when spelling
+export const SPELLING_NAMES = {
+    en: { ' ': 'space', '.': 'dot', ',': 'comma', '-': 'dash', '/': 'slash', '@': 'at', ':': 'colon' },
+    es: { ' ': 'espacio', '.': 'punto', ',': 'coma', '-': 'guion', '/': 'barra', '@': 'arroba', ':': 'dos puntos' }
+};
+
+// Names for the objects the on-device model knows (a subset of COCO), singular and plural.
+// Doors, stairs and walls aren't among them, which is why offline mode is so limited.
+export const OBJECT_LABELS = {
+    en: {
+        person: ['person', 'people'],
+        bicycle: ['bicycle', 'bicycles'],
+        car: ['car', 'cars'],
+        motorcycle: ['motorbike', 'motorbikes'],
+        bus: ['bus', 'buses'],
+        truck: ['truck', 'trucks'],
+        'traffic light': ['traffic light', 'traffic lights'],
+        'stop sign': ['stop sign', 'stop signs'],
+        bench: ['bench', 'benches'],
+        dog: ['dog', 'dogs'],
+        cat: ['cat', 'cats'],
+        backpack: ['backpack', 'backpacks'],
+        umbrella: ['umbrella', 'umbrellas'],
+        handbag: ['bag', 'bags'],
+        suitcase: ['suitcase', 'suitcases'],
+        bottle: ['bottle', 'bottles'],
+        cup: ['cup', 'cups'],
+        chair: ['chair', 'chairs'],
+        couch: ['sofa', 'sofas'],
+        bed: ['bed', 'beds'],
+        'dining table': ['table', 'tables'],
+        toilet: ['toilet', 'toilets'],
+        tv: ['television', 'televisions'],
+        laptop: ['laptop', 'laptops'],
+        'cell phone': ['phone', 'phones'],
+        book: ['book', 'books'],
+        keyboard: ['keyboard', 'keyboards'],
+        remote: ['remote control', 'remote controls'],
+        clock: ['clock', 'clocks']
+    },
+    es: {
+        person: ['persona', 'personas'],
+        bicycle: ['bicicleta', 'bicicletas'],
+        car: ['coche', 'coches'],
+        motorcycle: ['moto', 'motos'],
+        bus: ['autobús', 'autobuses'],
+        truck: ['camión', 'camiones'],
+        'traffic light': ['semáforo', 'semáforos'],
+        'stop sign': ['señal de stop', 'señales de stop'],
+        bench: ['banco', 'bancos'],
+        dog: ['perro', 'perros'],
+        cat: ['gato', 'gatos'],
+        backpack: ['mochila', 'mochilas'],
+        umbrella: ['paraguas', 'paraguas'],
+        handbag: ['bolso', 'bolsos'],
+        suitcase: ['maleta', 'maletas'],
+        bottle: ['botella', 'botellas'],
+        cup: ['taza', 'tazas'],
+        chair: ['silla', 'sillas'],
+        couch: ['sofá', 'sofás'],
+        bed: ['cama', 'camas'],
+        'dining table': ['mesa', 'mesas'],
+        toilet: ['váter', 'váteres'],
+        tv: ['televisión', 'televisiones'],
+        laptop: ['portátil', 'portátiles'],
+        'cell phone': ['móvil', 'móviles'],
+        book: ['libro', 'libros'],
+        keyboard: ['teclado', 'teclados'],
+        remote: ['mando', 'mandos'],
+        clock: ['reloj', 'relojes']
+    }
+};
+
+export const MESSAGES = {
+    en: {
+        welcome: 'BlindVision Assistant ready. Just speak to ask me questions.',
+        welcomeWakeWord: 'BlindVision Assistant ready. Say {wakeWord} followed by your question.',
+        welcomePushToTalk: 'BlindVision Assistant ready. Touch and hold the screen while you ask a question.',
+        wakeWordMode: 'Wake word mode. Start your questions with {wakeWord}.',
+        pushToTalkMode: 'Push to talk mode. Touch and hold the screen while you speak.',
+        alwaysOnMode: 'Always listening mode. I will answer anything that sounds like a question.',
+        wakeAcknowledged: 'Yes?',
+        help: 'I can help you find things. Just ask: Where is my backpack? Do you see a bag? What\'s in front of me? Say guide mode to get warnings about obstacles while you walk, or read this to hear the text on a letter, label or sign. Say repeat to hear my last answer again, previous answer to go further back, slower or faster to change how fast I speak, and how much have I used to hear what the services have cost today.',
+        repeatNothing: 'I haven\'t answered anything yet.',
+        historyEarlier: 'Earlier you asked: {question}. {answer}',
+        historyFirst: 'There are no earlier answers.',
+        historyLast: 'That was the latest answer.',
+        historyCleared: 'Answer history cleared.',
+        speechSlower: 'Speaking slower.',
+        speechFaster: 'Speaking faster.',
+        speechSlowest: 'That\'s as slow as I can speak.',
+        speechFastest: 'That\'s as fast as I can speak.',
+        usageReport: 'Today I\'ve looked at {requests} images using {tokens} tokens, and spoken {characters} characters with the natural voice. That comes to about {cost}.',
+        usageBudget: 'That\'s {percent} percent of your daily limit of {budget}.',
+        usageWarning: 'You\'ve used {percent} percent of today\'s spending limit. When it runs out I\'ll switch to a cheaper model and the device voice.',
+        usageLimitReached: 'Today\'s spending limit is used up. From your next question I\'ll use a cheaper model and the device voice until tomorrow.',
+        usageSaving: 'To save money I\'m using a cheaper model and the device voice until tomorrow.',
+        answersBrief: 'I\'ll keep my answers short.',
+        answersNormal: 'I\'ll give answers of normal length.',
+        answersDetailed: 'I\'ll give detailed answers.',
+        answersShortest: 'My answers are already as short as they get.',
+        answersLongest: 'My answers are already as detailed as they get.',
+        contextRemembered: 'Got it. I\'ll keep in mind: {fact}.',
+        contextForgotten: 'I\'ve forgotten what you told me about yourself.',
+        contextFull: 'I can\'t remember any more. Say forget what I told you, or edit it in the settings.',
+        speechNotSupported: 'Sorry, speech recognition is not supported in your browser. Please use Chrome or Safari.',
+        speechInitFailed: 'Failed to initialize speech recognition.',
+        recognitionUnavailable: 'Speech recognition not available in your browser.',
+        micDenied: 'Please allow microphone access to use voice commands.',
+        noSpeech: 'I didn\'t hear anything. Please try again.',
+        networkError: 'Network error. Please check your connection.',
+        cameraDenied: 'Camera access denied. Please allow camera permissions and refresh the page.',
+        cameraNotFound: 'No camera found. Please check your device has a camera.',
+        cameraError: 'Camera error. Please refresh the page and try again.',
+        captureFailed: 'Unable to capture image. Please make sure the camera is active.',
+        analysisFailed: 'Sorry, I had trouble analyzing that. Please try again.',
+        errorOffline: 'You\'re offline. I need an internet connection to see.',
+        errorTimeout: 'That took too long, the connection may be slow. Please try again.',
+        errorInvalidKey: 'The {service} API key was rejected. Please check it in settings.',
+        errorQuota: 'The {service} account has run out of credit.',
+        errorRateLimited: '{service} is busy right now. Please wait a moment and try again.',
+        errorServer: '{service} is having problems right now. Please try again later.',
+        connectionLost: 'Connection lost. I\'ll tell you when it\'s back.',
+        connectionRestored: 'Back online.',
+        offlineMode: 'You\'re offline, so I\'m using simple on-device recognition. I can only name common things like people, chairs and cars.',
+        offlineSee: 'I can see {objects}.',
+        offlineNothing: 'I don\'t recognise anything here. Offline I only know common objects.',
+        offlineYes: 'Yes, I see {objects}.',
+        offlineNo: 'I don\'t see any {name}.',
+        offlineObject: '{count} {name} {position}',
+        offlineUnavailable: 'The on-device model isn\'t downloaded yet. Connect to the internet once with offline recognition switched on.',
+        launchedOffline: 'You\'re offline. Describing what\'s around you, reading text and answering questions need a connection. I\'ll tell you when it\'s back.',
+        launchedOfflineFallback: 'You\'re offline. Until the connection is back I can only name common things like people, chairs and cars, and I can\'t read text.',
+        offlinePageTitle: 'You\'re offline',
+        offlinePageMessage: 'BlindVision can\'t start without a connection. Describing what the camera sees, reading text and the natural voice all need the internet. I\'ll open as soon as you\'re back online.',
+        offlinePageRetry: 'Try again',
+        installHintButton: 'To add me to your home screen, tap the Install app button at the top right of the screen.',
+        installHintShare: 'To add me to your home screen, open the browser\'s Share menu and choose Add to Home Screen.',
+        installAlready: 'I\'m already on your home screen.',
+        appInstalled: 'Installed. You can now open me from your home screen, even without a connection.',
+        newConversation: 'Okay, starting a new conversation.',
+        guideAlreadyOn: 'Guide mode is already on.',
+        guideOn: 'Guide mode on. I will warn you about stairs, obstacles and doorways. Say stop guide mode to end it.',
+        guideOff: 'Guide mode off.',
+        guideTooDark: 'It\'s too dark for guide mode. I can\'t see obstacles until there is more light.',
+        guideTooBright: 'There is too much glare for guide mode. I can\'t see obstacles until it clears.',
+        languageChanged: 'Okay, I will speak English from now on.',
+        settingsSaved: 'Settings saved.',
+        readingStart: 'Reading. Hold the camera still.',
+        readingNoText: 'I couldn\'t find any text. Try holding the camera a little further away, pointed at the text.',
+        readingPage: 'Page {page} of {total}.',
+        readingHint: 'Say next, repeat or spell that.',
+        readingEnd: 'That was the last page.',
+        readingFirstPage: 'This is the first page.',
+        readingStopped: 'Stopped reading.',
+        readingNothingToSpell: 'There is nothing to spell.',
+        frameTooDark: 'Too dark. Turn on a light or move somewhere brighter.',
+        frameTooBright: 'Too much glare. Tilt the camera a little.',
+        frameBlurry: 'Hold the camera still.',
+        frameMoveLeft: 'Move the camera left.',
+        frameMoveRight: 'Move the camera right.',
+        frameMoveUp: 'Move the camera up.',
+        frameMoveDown: 'Move the camera down.',
+        frameMoveBack: 'Move the camera further away.',
+        frameMoveCloser: 'Move the camera closer.',
+        frameUnusable: 'I can\'t get a clear picture. Please try again.',
+        cameraFront: 'Front camera. It is facing you.',
+        cameraRear: 'Back camera.',
+        cameraSwitchUnavailable: 'I can\'t switch cameras on this device.',
+        torchOn: 'Torch on.',
+        torchOff: 'Torch off.',
+        torchUnsupported: 'I can\'t control a torch on this camera. Some browsers don\'t allow it.',
+        zoomLevel: 'Zoom {zoom} times.',
+        zoomAtMax: 'Already fully zoomed in.',
+        zoomAtMin: 'Already fully zoomed out.',
+        zoomUnsupported: 'This camera doesn\'t support zoom in this browser.',
+        findingStart: 'Looking for: {target}. Move the camera slowly from side to side.',
+        findingSeen: 'I see it {position}, {distance}.',
+        findingWarmer: 'Warmer, {position}.',
+        findingColder: 'Colder, {position}.',
+        findingSteady: 'Still {position}.',
+        findingLost: 'Lost it. Go back slowly.',
+        findingNotYet: 'Not in view yet. Keep moving slowly.',
+        findingFound: 'Found it! It\'s {position}, within reach.',
+        findingTimeout: 'I couldn\'t find {target}. Try again from another spot.',
+        findingStopped: 'Stopped looking.',
+        positionLeft: 'to your left',
+        positionCenter: 'straight ahead',
+        positionRight: 'to your right',
+        distanceNear: 'close by',
+        distanceMedium: 'a few steps away',
+        distanceFar: 'far away',
+        // Settings panel
+        settingsButton: 'Settings',
+        installButton: 'Install app',
+        historyButton: 'Answers',
+        historyTitle: 'Earlier answers',
+        historyEmpty: 'No answers yet.',
+        historyClear: 'Clear history',
+        historyClose: 'Close',
+        settingsTitle: 'Settings',
+        settingsSpeech: 'Speech',
+        settingLanguage: 'Language',
+        languageAuto: 'Automatic',
+        settingTtsEngine: 'Voice engine',
+        engineAuto: 'Automatic',
+        engineElevenLabs: 'ElevenLabs (natural voice)',
+        engineBrowser: 'Device voice',
+        settingVoice: 'Voice',
+        voiceDefault: 'Default',
+        settingSpeechRate: 'Speaking rate',
+        rateValue: '{rate} times normal speed',
+        settingVerbosity: 'Answer length',
+        verbosityBrief: 'Brief',
+        verbosityNormal: 'Normal',
+        verbosityDetailed: 'Detailed',
+        settingUserContext: 'About me',
+        userContextHint: 'Anything that helps me help you, like "I use a white cane", "I\'m left-handed" or "my dog is called Max". You can also say remember that, followed by what to remember.',
+        settingConversationFrames: 'Earlier pictures in follow-ups',
+        conversationFramesHint: 'Sends the last pictures again with a follow-up question, so I can tell what changed. Uses more data and costs more.',
+        settingEarcons: 'Sound cues',
+        earconsHint: 'Short sounds when I start listening, think or finish, coming from the direction of what I found.',
+        settingHaptics: 'Vibration',
+        hapticsHint: 'Vibrates when I start listening, accept a question, fail, or see a hazard. Stronger hazards vibrate longer.',
+        settingHapticIntensity: 'Vibration strength',
+        hapticLight: 'Light',
+        hapticNormal: 'Normal',
+        hapticStrong: 'Strong',
+        settingOfflineFallback: 'Offline recognition',
+        offlineFallbackHint: 'Downloads a small model (about 5 MB) so I can still name common objects without internet.',
+        settingActivationMode: 'How to ask a question',
+        modeWakeWord: 'Say the wake word first',
+        modePushToTalk: 'Touch and hold the screen',
+        modeAlwaysOn: 'Always listening',
+        settingWakeWord: 'Wake word',
+        wakeWordHint: 'Leave empty to use "Assistant".',
+        settingsCamera: 'Camera',
+        settingCamera: 'Camera to use',
+        cameraRearOption: 'Back camera',
+        cameraFrontOption: 'Front camera (facing you)',
+        settingsVision: 'Image analysis',
+        settingVisionProvider: 'Service',
+        providerDefault: 'Default',
+        providerOpenAI: 'OpenAI',
+        providerCompatible: 'Self-hosted (OpenAI-compatible)',
+        settingVisionBaseUrl: 'Server address',
+        settingVisionModel: 'Model',
+        settingVisionApiKey: 'Server API key',
+        settingsKeys: 'Your own API keys',
+        keysHint: 'Optional. Keys are stored only on this device and used instead of the shared ones.',
+        settingOpenAIKey: 'OpenAI API key',
+        settingElevenLabsKey: 'ElevenLabs API key',
+        settingsUsage: 'Spending',
+        settingDailyBudget: 'Daily spending limit (US dollars)',
+        dailyBudgetHint: 'Leave empty for the default. I warn you at 80% and switch to cheaper services when the limit is reached.',
+        settingsSave: 'Save',
+        settingsCancel: 'Cancel'
+    },
+    es: {
+        welcome: 'Asistente BlindVision listo. Háblame para hacerme preguntas.',
+        welcomeWakeWord: 'Asistente BlindVision listo. Di {wakeWord} seguido de tu pregunta.',
+        welcomePushToTalk: 'Asistente BlindVision listo. Mantén pulsada la pantalla mientras haces tu pregunta.',
+        wakeWordMode: 'Modo palabra de activación. Empieza tus preguntas con {wakeWord}.',
+        pushToTalkMode: 'Modo pulsar para hablar. Mantén pulsada la pantalla mientras hablas.',
+        alwaysOnMode: 'Modo escucha continua. Responderé a todo lo que parezca una pregunta.',
+        wakeAcknowledged: '¿Sí?',
+        help: 'Puedo ayudarte a encontrar cosas. Pregunta por ejemplo: ¿Dónde está mi mochila? ¿Ves una bolsa? ¿Qué hay delante de mí? Di modo guía para recibir avisos de obstáculos mientras caminas, o lee esto para escuchar el texto de una carta, etiqueta o cartel. Di repite para volver a oír mi última respuesta, respuesta anterior para ir más atrás, más despacio o más rápido para cambiar la velocidad de mi voz, y cuánto he gastado para saber lo que llevan costando hoy los servicios.',
+        repeatNothing: 'Todavía no he respondido nada.',
+        historyEarlier: 'Antes preguntaste: {question}. {answer}',
+        historyFirst: 'No hay respuestas anteriores.',
+        historyLast: 'Esa era la última respuesta.',
+        historyCleared: 'Historial de respuestas borrado.',
+        speechSlower: 'Hablo más despacio.',
+        speechFaster: 'Hablo más rápido.',
+        speechSlowest: 'No puedo hablar más despacio.',
+        speechFastest: 'No puedo hablar más rápido.',
+        usageReport: 'Hoy he analizado {requests} imágenes con {tokens} tokens y he dicho {characters} caracteres con la voz natural. Eso son unos {cost}.',
+        usageBudget: 'Es el {percent} por ciento de tu límite diario de {budget}.',
+        usageWarning: 'Has usado el {percent} por ciento del límite de gasto de hoy. Cuando se acabe usaré un modelo más barato y la voz del dispositivo.',
+        usageLimitReached: 'Se ha agotado el límite de gasto de hoy. Desde tu próxima pregunta usaré un modelo más barato y la voz del dispositivo hasta mañana.',
+        usageSaving: 'Para ahorrar estoy usando un modelo más barato y la voz del dispositivo hasta mañana.',
+        answersBrief: 'Seré breve en mis respuestas.',
+        answersNormal: 'Daré respuestas de longitud normal.',
+        answersDetailed: 'Daré respuestas detalladas.',
+        answersShortest: 'Mis respuestas ya son lo más breves posible.',
+        answersLongest: 'Mis respuestas ya son lo más detalladas posible.',
+        contextRemembered: 'Entendido. Lo tendré en cuenta: {fact}.',
+        contextForgotten: 'He olvidado lo que me contaste sobre ti.',
+        contextFull: 'No puedo recordar nada más. Di olvida lo que te dije, o edítalo en los ajustes.',
+        speechNotSupported: 'Lo siento, tu navegador no admite el reconocimiento de voz. Usa Chrome o Safari.',
+        speechInitFailed: 'No se pudo iniciar el reconocimiento de voz.',
+        recognitionUnavailable: 'El reconocimiento de voz no está disponible en tu navegador.',
+        micDenied: 'Permite el acceso al micrófono para usar los comandos de voz.',
+        noSpeech: 'No te he oído. Inténtalo de nuevo.',
+        networkError: 'Error de red. Comprueba tu conexión.',
+        cameraDenied: 'Acceso a la cámara denegado. Permite el uso de la cámara y recarga la página.',
+        cameraNotFound: 'No se encontró ninguna cámara. Comprueba que tu dispositivo tiene cámara.',
+        cameraError: 'Error de cámara. Recarga la página e inténtalo de nuevo.',
+        captureFailed: 'No puedo capturar la imagen. Asegúrate de que la cámara está activa.',
+        analysisFailed: 'Lo siento, no he podido analizarlo. Inténtalo de nuevo.',
+        errorOffline: 'No tienes conexión. Necesito internet para ver.',
+        errorTimeout: 'Ha tardado demasiado, puede que la conexión sea lenta. Inténtalo de nuevo.',
+        errorInvalidKey: 'La clave API de {service} no es válida. Revísala en los ajustes.',
+        errorQuota: 'La cuenta de {service} se ha quedado sin crédito.',
+        errorRateLimited: '{service} está saturado ahora mismo. Espera un momento y vuelve a intentarlo.',
+        errorServer: '{service} tiene problemas ahora mismo. Inténtalo más tarde.',
+        connectionLost: 'Se ha perdido la conexión. Te avisaré cuando vuelva.',
+        connectionRestored: 'Conexión recuperada.',
+        offlineMode: 'No tienes conexión, así que uso el reconocimiento sencillo del dispositivo. Solo reconozco cosas comunes como personas, sillas y coches.',
+        offlineSee: 'Veo {objects}.',
+        offlineNothing: 'No reconozco nada aquí. Sin conexión solo conozco objetos comunes.',
+        offlineYes: 'Sí, veo {objects}.',
+        offlineNo: 'No veo {name}.',
+        offlineObject: '{count} {name} {position}',
+        offlineUnavailable: 'El modelo del dispositivo aún no se ha descargado. Conéctate a internet una vez con el reconocimiento sin conexión activado.',
+        launchedOffline: 'No tienes conexión. Para describir lo que te rodea, leer textos y responder preguntas necesito internet. Te avisaré cuando vuelva.',
+        launchedOfflineFallback: 'No tienes conexión. Hasta que vuelva solo puedo nombrar cosas comunes como personas, sillas y coches, y no puedo leer textos.',
+        offlinePageTitle: 'Sin conexión',
+        offlinePageMessage: 'BlindVision no puede arrancar sin conexión. Para describir lo que ve la cámara, leer textos y usar la voz natural hace falta internet. Me abriré en cuanto vuelva la conexión.',
+        offlinePageRetry: 'Reintentar',
+        installHintButton: 'Para añadirme a tu pantalla de inicio, toca el botón Instalar app arriba a la derecha de la pantalla.',
+        installHintShare: 'Para añadirme a tu pantalla de inicio, abre el menú Compartir del navegador y elige Añadir a pantalla de inicio.',
+        installAlready: 'Ya estoy en tu pantalla de inicio.',
+        appInstalled: 'Instalada. Ya puedes abrirme desde la pantalla de inicio, incluso sin conexión.',
+        newConversation: 'De acuerdo, empezamos una conversación nueva.',
+        guideAlreadyOn: 'El modo guía ya está activado.',
+        guideOn: 'Modo guía activado. Te avisaré de escaleras, obstáculos y puertas. Di desactiva el modo guía para terminar.',
+        guideOff: 'Modo guía desactivado.',
+        guideTooDark: 'Está demasiado oscuro para el modo guía. No veo los obstáculos hasta que haya más luz.',
+        guideTooBright: 'Hay demasiados reflejos para el modo guía. No veo los obstáculos hasta que se vayan.',
+        languageChanged: 'De acuerdo, a partir de ahora hablaré en español.',
+        settingsSaved: 'Ajustes guardados.',
+        readingStart: 'Leyendo. Mantén la cámara quieta.',
+        readingNoText: 'No he encontrado texto. Prueba a alejar un poco la cámara apuntando al texto.',
+        readingPage: 'Página {page} de {total}.',
+        readingHint: 'Di siguiente, repite o deletrea.',
+        readingEnd: 'Esa era la última página.',
+        readingFirstPage: 'Esta es la primera página.',
+        readingStopped: 'He dejado de leer.',
+        readingNothingToSpell: 'No hay nada que deletrear.',
+        frameTooDark: 'Está muy oscuro. Enciende una luz o busca un sitio con más luz.',
+        frameTooBright: 'Hay demasiados reflejos. Inclina un poco la cámara.',
+        frameBlurry: 'Mantén la cámara quieta.',
+        frameMoveLeft: 'Mueve la cámara a la izquierda.',
+        frameMoveRight: 'Mueve la cámara a la derecha.',
+        frameMoveUp: 'Mueve la cámara hacia arriba.',
+        frameMoveDown: 'Mueve la cámara hacia abajo.',
+        frameMoveBack: 'Aleja la cámara.',
+        frameMoveCloser: 'Acerca la cámara.',
+        frameUnusable: 'No consigo una imagen clara. Inténtalo de nuevo.',
+        cameraFront: 'Cámara frontal. Está mirando hacia ti.',
+        cameraRear: 'Cámara trasera.',
+        cameraSwitchUnavailable: 'No puedo cambiar de cámara en este dispositivo.',
+        torchOn: 'Linterna encendida.',
+        torchOff: 'Linterna apagada.',
+        torchUnsupported: 'No puedo controlar la linterna de esta cámara. Algunos navegadores no lo permiten.',
+        zoomLevel: 'Zoom de {zoom} aumentos.',
+        zoomAtMax: 'Ya está al máximo de zoom.',
+        zoomAtMin: 'Ya está al mínimo de zoom.',
+        zoomUnsupported: 'Esta cámara no admite zoom en este navegador.',
+        findingStart: 'Buscando: {target}. Mueve la cámara despacio de un lado a otro.',
+        findingSeen: 'Lo veo {position}, {distance}.',
+        findingWarmer: 'Caliente, {position}.',
+        findingColder: 'Frío, {position}.',
+        findingSteady: 'Sigue {position}.',
+        findingLost: 'Lo he perdido. Vuelve atrás despacio.',
+        findingNotYet: 'Todavía no lo veo. Sigue moviéndote despacio.',
+        findingFound: '¡Encontrado! Está {position}, a tu alcance.',
+        findingTimeout: 'No he encontrado {target}. Inténtalo de nuevo desde otro sitio.',
+        findingStopped: 'He dejado de buscar.',
+        positionLeft: 'a tu izquierda',
+        positionCenter: 'justo delante',
+        positionRight: 'a tu derecha',
+        distanceNear: 'muy cerca',
+        distanceMedium: 'a unos pasos',
+        distanceFar: 'lejos',
+        // Settings panel
+        settingsButton: 'Ajustes',
+        installButton: 'Instalar app',
+        historyButton: 'Respuestas',
+        historyTitle: 'Respuestas anteriores',
+        historyEmpty: 'Todavía no hay respuestas.',
+        historyClear: 'Borrar historial',
+        historyClose: 'Cerrar',
+        settingsTitle: 'Ajustes',
+        settingsSpeech: 'Voz',
+        settingLanguage: 'Idioma',
+        languageAuto: 'Automático',
+        settingTtsEngine: 'Motor de voz',
+        engineAuto: 'Automático',
+        engineElevenLabs: 'ElevenLabs (voz natural)',
+        engineBrowser: 'Voz del dispositivo',
+        settingVoice: 'Voz',
+        voiceDefault: 'Predeterminada',
+        settingSpeechRate: 'Velocidad de habla',
+        rateValue: '{rate} veces la velocidad normal',
+        settingVerbosity: 'Longitud de las respuestas',
+        verbosityBrief: 'Breve',
+        verbosityNormal: 'Normal',
+        verbosityDetailed: 'Detallada',
+        settingUserContext: 'Sobre mí',
+        userContextHint: 'Lo que me ayude a ayudarte, como "uso bastón blanco", "soy zurdo" o "mi perro se llama Max". También puedes decir recuerda que, seguido de lo que quieras que recuerde.',
+        settingConversationFrames: 'Imágenes anteriores en las preguntas de seguimiento',
+        conversationFramesHint: 'Vuelve a enviar las últimas imágenes con una pregunta de seguimiento, para que pueda saber qué ha cambiado. Usa más datos y cuesta más.',
+        settingEarcons: 'Avisos sonoros',
+        earconsHint: 'Sonidos cortos cuando empiezo a escuchar, pienso o termino, que llegan desde la dirección de lo que encuentro.',
+        settingHaptics: 'Vibración',
+        hapticsHint: 'Vibra cuando empiezo a escuchar, acepto una pregunta, fallo o veo un peligro. Los peligros más graves vibran más tiempo.',
+        settingHapticIntensity: 'Intensidad de la vibración',
+        hapticLight: 'Suave',
+        hapticNormal: 'Normal',
+        hapticStrong: 'Fuerte',
+        settingOfflineFallback: 'Reconocimiento sin conexión',
+        offlineFallbackHint: 'Descarga un modelo pequeño (unos 5 MB) para que pueda reconocer objetos comunes sin internet.',
+        settingActivationMode: 'Cómo hacer una pregunta',
+        modeWakeWord: 'Decir primero la palabra de activación',
+        modePushToTalk: 'Mantener pulsada la pantalla',
+        modeAlwaysOn: 'Escuchar siempre',
+        settingWakeWord: 'Palabra de activación',
+        wakeWordHint: 'Déjalo vacío para usar "Asistente".',
+        settingsCamera: 'Cámara',
+        settingCamera: 'Cámara que se usa',
+        cameraRearOption: 'Cámara trasera',
+        cameraFrontOption: 'Cámara frontal (mirando hacia ti)',
+        settingsVision: 'Análisis de imagen',
+        settingVisionProvider: 'Servicio',
+        providerDefault: 'Predeterminado',
+        providerOpenAI: 'OpenAI',
+        providerCompatible: 'Servidor propio (compatible con OpenAI)',
+        settingVisionBaseUrl: 'Dirección del servidor',
+        settingVisionModel: 'Modelo',
+        settingVisionApiKey: 'Clave API del servidor',
+        settingsKeys: 'Tus propias claves API',
+        keysHint: 'Opcional. Las claves se guardan solo en este dispositivo y se usan en lugar de las compartidas.',
+        settingOpenAIKey: 'Clave API de OpenAI',
+        settingElevenLabsKey: 'Clave API de ElevenLabs',
+        settingsUsage: 'Gasto',
+        settingDailyBudget: 'Límite de gasto diario (dólares estadounidenses)',
+        dailyBudgetHint: 'Déjalo vacío para usar el predeterminado. Te aviso al 80% y paso a servicios más baratos al alcanzar el límite.',
+        settingsSave: 'Guardar',
+        settingsCancel: 'Cancelar'
+    }
+};
+
+// Phrases are matched against the lower-cased transcript with accents stripped
+export const COMMAND_PHRASES = {
+    en: {
+        // Commands have to be the whole utterance, give or take a "please", so "is there a bus
+        // stop?", "can you guide me to the door?" and "is the back camera dirty?" are still
+        // questions. Only reading and finding accept more words around their phrases.
+        help: [/^(?:help|help me|what can you do|what can i say)(?: please)?$/],
+        stop: [/^(?:(?:ok|okay|please) )?(?:stop|stop talking|stop it|quiet|be quiet|shut up|silence|enough)(?: now)?(?: please)?$/],
+        repeatAnswer: [/^(?:repeat|repeat that|say that again|say it again|again|what did you say|pardon|sorry)(?: please)?$/],
+        previousAnswer: [/^(?:previous answer|earlier answer|the answer before|(?:and )?before that|go back|back|what did you say before(?: that)?)(?: please)?$/],
+        nextAnswer: [/^(?:next answer|the answer after|(?:and )?after that|go forward|forward)(?: please)?$/],
+        openHistory: [/^(?:please )?(?:(?:show|open|list) (?:the |my )?(?:answers|history|answer history)|answer history)(?: please)?$/],
+        clearHistory: [/^(?:please )?(?:(?:clear|delete) (?:the |my )?(?:history|answer history|answers)|forget my answers)(?: please)?$/],
+        usageReport: [/^(?:how much (?:have i (?:used|spent)|did i (?:use|spend))|what have i spent|usage)(?: today| so far)?(?: please)?$/],
+        shorterAnswers: [/^(?:(?:give me |use )?(?:shorter|briefer|brief|short) answers|be brief|keep it short)(?: please)?$/],
+        longerAnswers: [/^(?:(?:give me |use )?(?:longer|more detailed|detailed) answers|answer in more detail)(?: please)?$/],
+        // "Remember that ..." or a statement about the user - "remember where I parked" is a question
+        rememberAboutMe: [/^(?:please )?remember that (.+?)(?: please)?$/, /^(?:please )?remember ((?:i|i'm|im|i've|ive|my) .+?)(?: please)?$/],
+        forgetAboutMe: [/^(?:please )?forget (?:what i told you|about me|everything about me)(?: please)?$/],
+        speakSlower: [/^(?:(?:speak|talk|read) )?(?:slower|more slowly|slow down)(?: please)?$/],
+        speakFaster: [/^(?:(?:speak|talk|read) )?(?:faster|more quickly|quicker|speed up)(?: please)?$/],
+        newConversation: [/^(?:please )?(?:(?:new|reset|clear) (?:the )?conversation|start over)(?: please)?$/],
+        guideOff: [/^(?:please )?(?:(?:stop|end|turn off|exit) (?:the )?guide mode|guide mode off|stop guiding(?: me)?)(?: please)?$/],
+        guideOn: [/^(?:please )?(?:(?:start|turn on) (?:the )?guide mode|guide mode on|guide me)(?: please)?$/],
+        guideToggle: [/^(?:please )?guide mode(?: please)?$/],
+        wakeWordMode: [/^(?:please )?(?:wake word mode|use (?:the )?wake word)(?: please)?$/],
+        pushToTalkMode: [/^(?:please )?push to talk(?: mode)?(?: please)?$/],
+        alwaysOnMode: [/^(?:please )?(?:always listen(?:ing)?|always on mode|listen all the time)(?: please)?$/],
+        openSettings: ['open settings', 'open the settings', /^settings$/],
+        installApp: [/^(?:please )?(?:install (?:the )?app|add (?:it |the app )?to (?:my |the )?home screen)(?: please)?$/],
+        readText: ['read this', 'read that', 'read it', 'read the text', 'read text', 'what does it say', 'what does this say'],
+        // Only while reading - the whole utterance has to be the command, so
+        // "what's next to the door?" is still a question
+        readNext: [/^(?:next|next page|continue|go on)(?: please)?$/],
+        readPrevious: [/^(?:previous|previous page|go back|back)(?: please)?$/],
+        readRepeat: [/^(?:repeat|repeat that|again|say that again|read that again)(?: please)?$/],
+        readSpell: [/^(?:spell|spell that|spell it)(?: please)?$/],
+        readStop: ['stop reading', 'done reading', 'exit reading'],
+        frontCamera: [/^(?:please )?(?:(?:use|switch to) )?(?:the )?(?:front|selfie) camera(?: please)?$/],
+        rearCamera: [/^(?:please )?(?:(?:use|switch to) )?(?:the )?(?:back|rear) camera(?: please)?$/],
+        switchCamera: [/^(?:please )?(?:(?:switch|flip|change) (?:the )?cameras?|(?:use )?(?:the )?other camera)(?: please)?$/],
+        torchOn: [/^(?:please )?(?:(?:turn|switch) on the (?:torch|flashlight|light)|(?:torch|flashlight|light) on)(?: please)?$/],
+        torchOff: [/^(?:please )?(?:(?:turn|switch) off the (?:torch|flashlight|light)|(?:torch|flashlight|light) off)(?: please)?$/],
+        zoomIn: [/^(?:please )?(?:zoom in|zoom closer|more zoom)(?: please)?$/],
+        zoomOut: [/^(?:please )?(?:zoom out|less zoom)(?: please)?$/],
+        zoomReset: [/^(?:please )?(?:reset (?:the )?zoom|no zoom|zoom reset)(?: please)?$/],
+        // "find my keys", "where are my glasses?" - the captured words are what to look for
+        findObject: [/^(?:please )?(?:find|look for|search for|help me find|where is my|where are my|where's my|where did i put|where did i leave) (?:my |the |a |an )?(.+?)(?: please)?$/],
+        findStop: ['stop finding', 'stop looking', 'stop searching', 'cancel search'],
+        // "speak spanish", "switch to english please" - the captured word is a language name
+        switchLanguage: [/^(?:please )?(?:speak|switch to|change to|change language to|talk in|use) (\w+)(?: please)?$/]
+    },
+    es: {
+        help: [/^(?:ayuda|ayudame|que puedes hacer|que puedo decir)(?: por favor)?$/],
+        stop: [/^(?:(?:vale|por favor) )?(?:para|para ya|para de hablar|callate|silencio|basta)(?: ya)?(?: por favor)?$/],
+        repeatAnswer: [/^(?:repite|repitelo|repite eso|otra vez|que has dicho|que dijiste|como)(?: por favor)?$/],
+        previousAnswer: [/^(?:respuesta anterior|la respuesta anterior|(?:y )?antes de eso|atras|vuelve|que dijiste antes)(?: por favor)?$/],
+        nextAnswer: [/^(?:siguiente respuesta|la siguiente respuesta|(?:y )?despues de eso|adelante)(?: por favor)?$/],
+        openHistory: [/^(?:por favor )?(?:(?:muestra|abre) (?:las respuestas|el historial)|historial de respuestas)(?: por favor)?$/],
+        clearHistory: [/^(?:por favor )?(?:borra (?:el historial|las respuestas)|borrar (?:el )?historial|olvida las respuestas)(?: por favor)?$/],
+        usageReport: [/^(?:cuanto (?:he|llevo) (?:gastado|usado)|(?:el )?(?:gasto|uso) de hoy)(?: hoy)?(?: por favor)?$/],
+        shorterAnswers: [/^(?:(?:dame |da )?respuestas (?:mas )?(?:cortas|breves)|se breve|se mas breve)(?: por favor)?$/],
+        longerAnswers: [/^(?:(?:dame |da )?respuestas (?:mas )?(?:largas|detalladas)|responde con mas detalle)(?: por favor)?$/],
+        rememberAboutMe: [/^(?:por favor )?recuerda que (.+?)(?: por favor)?$/],
+        forgetAboutMe: [/^(?:por favor )?olvida (?:lo que te (?:dije|he dicho)|todo sobre mi)(?: por favor)?$/],
+        speakSlower: [/^(?:(?:habla|lee) )?(?:mas despacio|mas lento|despacio)(?: por favor)?$/],
+        speakFaster: [/^(?:(?:habla|lee) )?(?:mas rapido|mas deprisa|rapido)(?: por favor)?$/],
+        newConversation: [/^(?:por favor )?(?:nueva conversacion|(?:reinicia|borra) la conversacion|empieza de nuevo)(?: por favor)?$/],
+        guideOff: [/^(?:por favor )?(?:desactiva|desactivar|para|termina|quita) (?:el )?modo guia(?: por favor)?$/],
+        guideOn: [/^(?:por favor )?(?:(?:activa|activar|empieza) (?:el )?modo guia|guiame)(?: por favor)?$/],
+        guideToggle: [/^(?:por favor )?(?:el )?modo guia(?: por favor)?$/],
+        wakeWordMode: [/^(?:por favor )?(?:modo palabra de activacion|usa la palabra de activacion)(?: por favor)?$/],
+        pushToTalkMode: [/^(?:por favor )?(?:modo )?pulsar para hablar(?: por favor)?$/],
+        alwaysOnMode: [/^(?:por favor )?(?:escucha siempre|(?:modo )?escucha continua)(?: por favor)?$/],
+        openSettings: ['abre los ajustes', 'abre la configuracion', /^(?:ajustes|configuracion)$/],
+        installApp: [/^(?:por favor )?(?:instala(?:r)? la (?:aplicacion|app)|anade(?:la)? a la pantalla de inicio)(?: por favor)?$/],
+        readText: ['lee esto', 'lee eso', 'lee el texto', 'leelo', 'que pone', 'que dice'],
+        readNext: [/^(?:siguiente|siguiente pagina|continua|sigue)(?: por favor)?$/],
+        readPrevious: [/^(?:anterior|pagina anterior|atras|vuelve)(?: por favor)?$/],
+        readRepeat: [/^(?:repite|repitelo|otra vez|de nuevo)(?: por favor)?$/],
+        readSpell: [/^(?:deletrea|deletrealo|deletrea eso)(?: por favor)?$/],
+        readStop: ['deja de leer', 'para de leer', 'termina de leer'],
+        frontCamera: [/^(?:por favor )?(?:usa (?:la )?)?(?:la )?camara (?:frontal|delantera)(?: por favor)?$/],
+        rearCamera: [/^(?:por favor )?(?:usa (?:la )?)?(?:la )?camara trasera(?: por favor)?$/],
+        switchCamera: [/^(?:por favor )?(?:(?:cambia|gira) (?:de |la )?camara|(?:usa )?(?:la )?otra camara)(?: por favor)?$/],
+        torchOn: [/^(?:por favor )?(?:(?:enciende|activa) la (?:linterna|luz)|linterna encendida)(?: por favor)?$/],
+        torchOff: [/^(?:por favor )?(?:(?:apaga|desactiva) la (?:linterna|luz)|linterna apagada)(?: por favor)?$/],
+        zoomIn: [/^(?:por favor )?(?:mas zoom|amplia la imagen|haz zoom)(?: por favor)?$/],
+        zoomOut: [/^(?:por favor )?(?:menos zoom|reduce el zoom)(?: por favor)?$/],
+        zoomReset: [/^(?:por favor )?(?:quita el zoom|sin zoom|restablece el zoom)(?: por favor)?$/],
+        findObject: [/^(?:por favor )?(?:busca|buscame|encuentra|encuentrame|ayudame a encontrar|donde esta mi|donde estan mis|donde he dejado|donde deje) (?:mi |mis |el |la |los |las |un |una )?(.+?)(?: por favor)?$/],
+        findStop: ['deja de buscar', 'para de buscar', 'cancela la busqueda'],
+        switchLanguage: [/^(?:por favor )?(?:habla|hablame en|habla en|cambia a|cambiar a|cambia el idioma a|usa) (\w+)(?: por favor)?$/]
+    }
+};
+
+export function normalizeText(text) {
+    return text.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[¿?¡!.,]/g, '')
+        .trim();
+}
+
+// Picks the first supported language from the browser's preferences
+export function detectLanguage() {
+    if (typeof navigator === 'undefined') {
+        return DEFAULT_LANGUAGE;
+    }
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+
+    for (const locale of preferred) {
+        const code = locale.toLowerCase().split('-')[0];
+        if (LANGUAGES[code]) {
+            return code;
+        }
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+// The browser locale if it matches the language (es-MX stays es-MX), otherwise the default locale
+export function getLocale(language) {
+    const browserLocale = (typeof navigator !== 'undefined' && navigator.language) || '';
+    if (browserLocale.toLowerCase().split('-')[0] === language && browserLocale.includes('-')) {
+        return browserLocale;
+    }
+    return LANGUAGES[language].locale;
+}
+
+export function translate(language, key, params = {}) {
+    const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+    const message = messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+
+    if (message === undefined) {
+        console.error('Missing message:', key);
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// A command's phrases in the language. command is a name in COMMAND_PHRASES, or a command's
+// own table of the same shape ({ en: [...], es: [...] }) for commands defined elsewhere.
+export function commandPhrases(language, command) {
+    const table = typeof command === 'string' ?
+        (COMMAND_PHRASES[language] || COMMAND_PHRASES[DEFAULT_LANGUAGE])[command] :
+        command[language] || command[DEFAULT_LANGUAGE];
+    return table || [];
+}
+
+// True if the transcript contains one of the command's phrases (whole words only)
+export function matchesCommand(language, command, text) {
+    const phrases = commandPhrases(language, command);
+    const normalized = normalizeText(text);
+
+    return phrases.some(phrase => {
+        if (phrase instanceof RegExp) {
+            return phrase.test(normalized);
+        }
+        return new RegExp(`(^|\\s)${phrase}(\\s|$)`).test(normalized);
+    });
+}
+
+// The words captured by a command pattern ("find my car keys" -> "car keys") in the user's
+// original wording, or null if the command doesn't match
+export function extractCommandArgument(language, command, text) {
+    const phrases = commandPhrases(language, command);
+    const normalized = normalizeText(text);
+
+    for (const phrase of phrases) {
+        const match = phrase instanceof RegExp ? normalized.match(phrase) : null;
+        if (!match || !match[1]) continue;
+
+        // Normalizing keeps the words in place, so the same words of the original keep their accents
+        const start = match.index + match[0].lastIndexOf(match[1]);
+        const skipped = normalized.slice(0, start).split(/\s+/).filter(Boolean).length;
+        const length = match[1].split(/\s+/).length;
+        const originalWords = text.trim().split(/\s+/);
+        const normalizedWords = normalized.split(/\s+/);
+
+        if (originalWords.length !== normalizedWords.length) {
+            return match[1];
+        }
+        return originalWords.slice(skipped, skipped + length).join(' ').replace(/[¿?¡!.,]/g, '');
+    }
+    return null;
+}
+
+// Returns the language code asked for ("speak Spanish", "habla inglés", or just "español"),
+// in any of the supported languages, or null
+export function findLanguageRequest(text) {
+    const normalized = normalizeText(text);
+    const languageFromName = name => Object.keys(LANGUAGES).find(code => LANGUAGES[code].names.includes(name)) || null;
+
+    const spokenName = languageFromName(normalized);
+    if (spokenName) {
+        return spokenName;
+    }
+
+    for (const language of Object.keys(COMMAND_PHRASES)) {
+        for (const pattern of COMMAND_PHRASES[language].switchLanguage) {
+            const match = normalized.match(pattern);
+            if (match && languageFromName(match[1])) {
+                return languageFromName(match[1]);
+            }
+        }
+    }
+    return null;
+}
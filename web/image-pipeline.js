@@ -0,0 +1,144 @@
+// Preparing frames for upload
+// A full-resolution camera frame is far more than the vision model needs for most
+// questions and slow to send over mobile data. Each capture is scaled to what its mode
+// needs, optionally cropped to a region of interest, and compressed harder on slow networks.
+
+// maxDimension: longest side in pixels. minQuality: the floor on slow networks.
+// Text keeps its resolution when the network is slow - small print is unreadable otherwise.
+export const CAPTURE_PROFILES = {
+    scene: { maxDimension: 1024, quality: 0.8, minQuality: 0.5, shrinkOnSlowNetwork: true },
+    hazards: { maxDimension: 768, quality: 0.7, minQuality: 0.45, shrinkOnSlowNetwork: true },
+    text: { maxDimension: 2048, quality: 0.92, minQuality: 0.7, shrinkOnSlowNetwork: false }
+};
+
+// Estimates how fast we can upload. Uses what the Network Information API reports where
+// there is one (Chrome), otherwise how long our own requests took (Safari, Firefox).
+export class NetworkMonitor {
+    // connection: navigator.connection unless another one is passed in
+    constructor(connection = typeof navigator !== 'undefined' ? navigator.connection : null) {
+        this.connection = connection || null;
+        this.measuredMbps = null;
+        this.smoothing = 0.3; // Weight of the newest measurement
+    }
+
+    // milliseconds: the upload alone. Model time has to be taken off first - a phone on
+    // fast Wi-Fi would otherwise look slow and be stuck with the smallest images.
+    recordTransfer(bytes, milliseconds) {
+        if (!bytes || milliseconds <= 0) return;
+
+        const mbps = (bytes * 8) / (milliseconds * 1000);
+        this.measuredMbps = this.measuredMbps === null ?
+            mbps :
+            this.smoothing * mbps + (1 - this.smoothing) * this.measuredMbps;
+    }
+
+    // Megabits per second, or null when unknown
+    estimateMbps() {
+        const connection = this.connection;
+        if (connection && connection.downlink) {
+            return connection.downlink;
+        }
+        return this.measuredMbps;
+    }
+
+    // 'slow', 'medium' or 'fast'
+    speed() {
+        const connection = this.connection;
+        if (connection && (connection.saveData || /(^|-)2g$/.test(connection.effectiveType || ''))) {
+            return 'slow';
+        }
+
+        const mbps = this.estimateMbps();
+        if (mbps === null || mbps >= 2) return 'fast';
+        return mbps >= 0.5 ? 'medium' : 'slow';
+    }
+}
+
+export class ImagePipeline {
+    constructor(networkMonitor = new NetworkMonitor(), canvas = document.createElement('canvas')) {
+        this.network = networkMonitor;
+        this.canvas = canvas;
+        this.ctx = this.canvas.getContext('2d');
+    }
+
+    // source: a <video> or an ImageBitmap. options.region crops to { x, y, width, height },
+    // given as fractions of the source so it doesn't depend on its resolution.
+    // Returns { dataUrl, width, height, quality, bytes, milliseconds } or null.
+    process(source, mode = 'scene', options = {}) {
+        const started = performance.now();
+        const sourceWidth = source.videoWidth || source.width;
+        const sourceHeight = source.videoHeight || source.height;
+        if (!sourceWidth || !sourceHeight) {
+            return null;
+        }
+
+        const region = clampRegion(options.region);
+        const cropX = Math.round(region.x * sourceWidth);
+        const cropY = Math.round(region.y * sourceHeight);
+        const cropWidth = Math.round(region.width * sourceWidth);
+        const cropHeight = Math.round(region.height * sourceHeight);
+
+        const { maxDimension, quality } = this.settingsFor(mode);
+        const scale = Math.min(1, maxDimension / Math.max(cropWidth, cropHeight));
+        this.canvas.width = Math.round(cropWidth * scale);
+        this.canvas.height = Math.round(cropHeight * scale);
+        this.ctx.drawImage(source, cropX, cropY, cropWidth, cropHeight, 0, 0, this.canvas.width, this.canvas.height);
+
+        const dataUrl = this.canvas.toDataURL('image/jpeg', quality);
+        const result = {
+            dataUrl,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            quality,
+            bytes: dataUrlBytes(dataUrl),
+            milliseconds: Math.round(performance.now() - started)
+        };
+
+        console.log(`Captured ${mode} frame: ${result.width}x${result.height}, ` +
+            `${Math.round(result.bytes / 1024)} KB at quality ${quality} ` +
+            `(${this.network.speed()} network) in ${result.milliseconds} ms`);
+        return result;
+    }
+
+    // The mode's profile adjusted for the current network
+    settingsFor(mode) {
+        const profile = CAPTURE_PROFILES[mode] || CAPTURE_PROFILES.scene;
+        const speed = this.network.speed();
+
+        if (speed === 'slow') {
+            return {
+                maxDimension: profile.shrinkOnSlowNetwork ? Math.round(profile.maxDimension * 0.6) : profile.maxDimension,
+                quality: profile.minQuality
+            };
+        }
+        if (speed === 'medium') {
+            return {
+                maxDimension: profile.shrinkOnSlowNetwork ? Math.round(profile.maxDimension * 0.8) : profile.maxDimension,
+                quality: Math.round(((profile.quality + profile.minQuality) / 2) * 100) / 100
+            };
+        }
+        return { maxDimension: profile.maxDimension, quality: profile.quality };
+    }
+}
+
+export function clampRegion(region) {
+    if (!region) {
+        return { x: 0, y: 0, width: 1, height: 1 };
+    }
+
+    const x = Math.min(Math.max(region.x, 0), 0.95);
+    const y = Math.min(Math.max(region.y, 0), 0.95);
+    return {
+        x,
+        y,
+        width: Math.min(Math.max(region.width, 0.05), 1 - x),
+        height: Math.min(Math.max(region.height, 0.05), 1 - y)
+    };
+}
+
+// Decoded size of a base64 data URL - what the API actually receives
+export function dataUrlBytes(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+}
@@ -0,0 +1,80 @@
+// Installing to the home screen
+// Registers the service worker and offers an Install button where the browser supports it
+// (Chrome and Edge fire beforeinstallprompt). Safari has no prompt - users add the app from
+// the Share menu, so there the app only explains how.
+
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers not supported - no offline shell');
+        return Promise.resolve(null);
+    }
+
+    return navigator.serviceWorker.register('/sw.js')
+        .then(registration => {
+            console.log('Service worker registered with scope:', registration.scope);
+            return registration;
+        })
+        .catch(error => {
+            console.error('Service worker registration failed:', error);
+            return null;
+        });
+}
+
+export function isInstalled(browserWindow = window) {
+    return browserWindow.matchMedia('(display-mode: standalone)').matches || browserWindow.navigator.standalone === true;
+}
+
+export class InstallPrompt {
+    // options: { button, onInstalled, window }
+    constructor(options = {}) {
+        this.button = options.button || null;
+        this.onInstalled = options.onInstalled || (() => {});
+        this.deferredPrompt = null;
+
+        const browserWindow = options.window || window;
+        browserWindow.addEventListener('beforeinstallprompt', event => {
+            // Keep the browser's own banner away and offer our button instead
+            event.preventDefault();
+            this.deferredPrompt = event;
+            this.showButton(true);
+        });
+
+        browserWindow.addEventListener('appinstalled', () => {
+            console.log('App installed');
+            this.deferredPrompt = null;
+            this.showButton(false);
+            this.onInstalled();
+        });
+
+        if (this.button) {
+            this.button.addEventListener('click', () => this.prompt());
+        }
+        this.showButton(false);
+    }
+
+    get available() {
+        return Boolean(this.deferredPrompt);
+    }
+
+    // The browser only shows its install dialog in response to a tap, not a voice command
+    async prompt() {
+        if (!this.deferredPrompt) {
+            return false;
+        }
+
+        const event = this.deferredPrompt;
+        this.deferredPrompt = null;
+        this.showButton(false);
+
+        event.prompt();
+        const choice = await event.userChoice;
+        console.log('Install prompt:', choice.outcome);
+        return choice.outcome === 'accepted';
+    }
+
+    showButton(visible) {
+        if (this.button) {
+            this.button.hidden = !visible;
+        }
+    }
+}
@@ -0,0 +1,92 @@
+// Finding a dropped or misplaced object
+// The user names what they're looking for and sweeps the camera around. Each frame is only
+// asked "is it there, and where?", and successive answers turn into warmer/colder guidance
+// until the object is within reach or the search times out.
+
+export const FIND_POSITIONS = ['left', 'center', 'right'];
+export const FIND_DISTANCES = ['far', 'medium', 'near']; // In order of closeness
+
+export class ObjectFinder {
+    constructor(target, options = {}) {
+        this.target = target;
+        this.timeoutMs = options.timeoutMs || 60000;
+        this.startedAt = Date.now();
+        this.last = null;  // Last observation in which the target was visible
+        this.misses = 0;   // Frames in a row without the target
+    }
+
+    isTimedOut(now = Date.now()) {
+        return now - this.startedAt >= this.timeoutMs;
+    }
+
+    // observation: parsed with parseFindObservation, or null if the frame couldn't be checked.
+    // Returns { type, position, distance } where type is one of
+    // 'found', 'seen', 'warmer', 'colder', 'steady', 'lost', 'notYet' or 'silent'.
+    update(observation) {
+        if (!observation || !observation.visible) {
+            this.misses++;
+            if (this.last && this.misses === 1) {
+                return { type: 'lost' };
+            }
+            // A reminder every few empty frames so the user knows we're still looking
+            return { type: this.misses % 3 === 0 ? 'notYet' : 'silent' };
+        }
+
+        const previous = this.last;
+        const reacquired = this.misses > 0;
+        this.last = observation;
+        this.misses = 0;
+
+        const guidance = { position: observation.position, distance: observation.distance };
+        if (observation.withinReach) {
+            return { type: 'found', ...guidance };
+        }
+        if (!previous || reacquired) {
+            return { type: 'seen', ...guidance };
+        }
+
+        const trend = compareCloseness(previous, observation);
+        return { type: trend > 0 ? 'warmer' : trend < 0 ? 'colder' : 'steady', ...guidance };
+    }
+}
+
+// > 0 when current is closer than previous: a nearer distance, a clearly bigger
+// object in the frame, or moving into the centre
+export function compareCloseness(previous, current) {
+    const previousRank = FIND_DISTANCES.indexOf(previous.distance);
+    const currentRank = FIND_DISTANCES.indexOf(current.distance);
+    if (previousRank !== currentRank) {
+        return currentRank - previousRank;
+    }
+
+    if (previous.area > 0 && Math.abs(current.area - previous.area) / previous.area > 0.25) {
+        return current.area > previous.area ? 1 : -1;
+    }
+
+    const wasCentered = previous.position === 'center';
+    const isCentered = current.position === 'center';
+    if (wasCentered !== isCentered) {
+        return isCentered ? 1 : -1;
+    }
+    return 0;
+}
+
+// The model's JSON reply as { visible, position, distance, area, withinReach }, with
+// unexpected values replaced by safe defaults. Null if it isn't JSON at all.
+export function parseFindObservation(content) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+
+    const area = Number(parsed.area);
+    return {
+        visible: parsed.visible === true,
+        position: FIND_POSITIONS.includes(parsed.position) ? parsed.position : 'center',
+        distance: FIND_DISTANCES.includes(parsed.distance) ? parsed.distance : 'medium',
+        area: Number.isFinite(area) ? Math.min(Math.max(area, 0), 1) : 0,
+        withinReach: parsed.within_reach === true
+    };
+}
@@ -0,0 +1,232 @@
+// On-device vision for when there's no network
+// A small object detector (COCO-SSD on TensorFlow.js) runs in the browser. It can only name
+// about eighty kinds of everyday objects and say roughly where they are, so the app announces
+// it as a limited mode and only uses it when the real provider can't be reached.
+
+import { DEFAULT_LANGUAGE, OBJECT_LABELS, normalizeText, translate } from './i18n.js';
+import { API_ERROR_KINDS, ApiError } from './request.js';
+import { VisionProvider } from './vision-providers.js';
+
+export const ON_DEVICE_SCRIPTS = [
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3/dist/coco-ssd.min.js'
+];
+
+// Things worth a warning in guide mode
+export const ON_DEVICE_OBSTACLES = ['person', 'bicycle', 'car', 'motorcycle', 'bus', 'truck', 'bench', 'chair', 'dog', 'suitcase'];
+
+export class OnDeviceVisionProvider extends VisionProvider {
+    constructor(options = {}) {
+        super('On-device');
+        this.language = options.language || DEFAULT_LANGUAGE;
+        this.minScore = options.minScore || 0.5;
+        this.model = null;
+        this.loading = null;
+    }
+
+    setLanguage(language) {
+        this.language = language;
+    }
+
+    get isLoaded() {
+        return Boolean(this.model);
+    }
+
+    // Downloads the scripts and model weights once; call it while online so the
+    // service worker and HTTP cache have them for later
+    load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                for (const src of ON_DEVICE_SCRIPTS) {
+                    await loadScript(src);
+                }
+                // The small MobileNet variant is fast enough on a phone CPU
+                this.model = await window.cocoSsd.load({ base: 'lite_mobilenet_v2' });
+                console.log('On-device model loaded');
+                return this.model;
+            })().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    // [{ name, position, distance, area, score }] for everything recognised with enough confidence
+    async detect(imageData) {
+        if (!this.model) {
+            try {
+                await this.load();
+            } catch (error) {
+                throw new ApiError(API_ERROR_KINDS.OFFLINE, `${this.name} error: model not available`, { service: this.name });
+            }
+        }
+
+        const image = await loadImage(imageData);
+        const predictions = await this.model.detect(image);
+
+        return predictions
+            .filter(prediction => prediction.score >= this.minScore)
+            .map(prediction => {
+                const [x, , width, height] = prediction.bbox;
+                const centre = (x + width / 2) / image.width;
+                const heightShare = height / image.height;
+                return {
+                    name: prediction.class,
+                    position: centre < 0.33 ? 'left' : centre > 0.66 ? 'right' : 'center',
+                    // Taller in the frame means closer - crude, but it's all a box tells us
+                    distance: heightShare > 0.6 ? 'near' : heightShare > 0.25 ? 'medium' : 'far',
+                    area: (width * height) / (image.width * image.height),
+                    score: prediction.score
+                };
+            });
+    }
+
+    async describeScene(imageData, options = {}) {
+        const detections = await this.detect(imageData);
+
+        if (options.json) {
+            return JSON.stringify({ hazards: this.toHazards(detections) });
+        }
+        return this.describeDetections(detections);
+    }
+
+    // Only "is there a chair?" style questions can be answered; anything else gets the list
+    async answerQuestion(imageData, question, options = {}) {
+        const detections = await this.detect(imageData);
+        const target = this.findObjectName(question);
+
+        if (!target) {
+            return this.describeDetections(detections);
+        }
+
+        const matches = detections.filter(detection => detection.name === target);
+        if (matches.length === 0) {
+            return translate(this.language, 'offlineNo', { name: this.label(target, 2) });
+        }
+        return translate(this.language, 'offlineYes', { objects: this.listObjects(matches) });
+    }
+
+    async readText(imageData, options = {}) {
+        throw new ApiError(API_ERROR_KINDS.OFFLINE, `${this.name} error: cannot read text offline`, { service: this.name });
+    }
+
+    async locateObject(imageData, target, options = {}) {
+        const name = this.findObjectName(target);
+        const detections = name ? (await this.detect(imageData)).filter(detection => detection.name === name) : [];
+
+        if (detections.length === 0) {
+            return JSON.stringify({ visible: false });
+        }
+
+        const largest = detections.reduce((best, detection) => (detection.area > best.area ? detection : best));
+        return JSON.stringify({
+            visible: true,
+            position: largest.position,
+            distance: largest.distance,
+            area: largest.area,
+            within_reach: largest.area > 0.25
+        });
+    }
+
+    describeDetections(detections) {
+        if (detections.length === 0) {
+            return translate(this.language, 'offlineNothing');
+        }
+        return translate(this.language, 'offlineSee', { objects: this.listObjects(detections) });
+    }
+
+    // "2 chairs to your right, 1 person straight ahead" - grouped by object and position
+    listObjects(detections) {
+        const groups = new Map();
+
+        detections.forEach(detection => {
+            const key = `${detection.name}|${detection.position}`;
+            const group = groups.get(key) || { name: detection.name, position: detection.position, count: 0 };
+            group.count++;
+            groups.set(key, group);
+        });
+
+        return Array.from(groups.values())
+            .filter(group => this.hasLabel(group.name))
+            .map(group => translate(this.language, 'offlineObject', {
+                count: group.count,
+                name: this.label(group.name, group.count),
+                position: this.positionLabel(group.position)
+            }))
+            .join(', ');
+    }
+
+    toHazards(detections) {
+        const severities = { near: 'high', medium: 'medium', far: 'low' };
+        const positions = { left: 'left', center: 'ahead', right: 'right' };
+
+        return detections
+            .filter(detection => ON_DEVICE_OBSTACLES.includes(detection.name) && this.hasLabel(detection.name))
+            .map(detection => {
+                const description = `${this.label(detection.name, 1)} ${this.positionLabel(detection.position)}.`;
+                return {
+                    type: detection.name,
+                    position: positions[detection.position],
+                    distance: detection.distance,
+                    severity: severities[detection.distance],
+                    description: description.charAt(0).toUpperCase() + description.slice(1)
+                };
+            });
+    }
+
+    positionLabel(position) {
+        const keys = { left: 'positionLeft', center: 'positionCenter', right: 'positionRight' };
+        return translate(this.language, keys[position]);
+    }
+
+    // The COCO class named in the text, in either singular or plural
+    findObjectName(text) {
+        const labels = OBJECT_LABELS[this.language] || OBJECT_LABELS[DEFAULT_LANGUAGE];
+        const words = ` ${normalizeText(text)} `;
+
+        return Object.keys(labels).find(name =>
+            labels[name].some(label => words.includes(` ${normalizeText(label)} `))
+        ) || null;
+    }
+
+    hasLabel(name) {
+        const labels = OBJECT_LABELS[this.language] || OBJECT_LABELS[DEFAULT_LANGUAGE];
+        return Boolean(labels[name]);
+    }
+
+    label(name, count) {
+        const labels = OBJECT_LABELS[this.language] || OBJECT_LABELS[DEFAULT_LANGUAGE];
+        const forms = labels[name] || [name, name];
+        return count === 1 ? forms[0] : forms[1];
+    }
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        if (document.querySelector(`script[src="${src}"]`)) {
+            resolve();
+            return;
+        }
+
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.crossOrigin = 'anonymous';
+        script.onload = () => resolve();
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Could not load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+function loadImage(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not decode image'));
+        image.src = dataUrl;
+    });
+}
@@ -0,0 +1,195 @@
+// Network requests
+// Calls to our API routes and to vision servers go through fetchWithRetry. It gives up after
+// a timeout instead of leaving the user waiting in silence, retries when a service is busy,
+// and turns every failure into an ApiError whose kind says what to tell the user.
+
+export const API_ERROR_KINDS = {
+    OFFLINE: 'offline',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    INVALID_KEY: 'invalidKey',
+    QUOTA: 'quota',
+    RATE_LIMITED: 'rateLimited',
+    SERVER: 'server',
+    BAD_REQUEST: 'badRequest'
+};
+
+// Worth trying again after a pause; the rest will fail the same way every time
+const RETRYABLE_KINDS = [
+    API_ERROR_KINDS.TIMEOUT,
+    API_ERROR_KINDS.NETWORK,
+    API_ERROR_KINDS.RATE_LIMITED,
+    API_ERROR_KINDS.SERVER
+];
+
+export class ApiError extends Error {
+    // details: { service, status, retryAfterMs }
+    constructor(kind, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.service = details.service || '';
+        this.status = details.status || null;
+        this.retryAfterMs = details.retryAfterMs !== undefined ? details.retryAfterMs : null;
+    }
+
+    get retryable() {
+        return RETRYABLE_KINDS.includes(this.kind);
+    }
+
+    static async fromResponse(response, service) {
+        const text = await response.text().catch(() => '');
+        let body = {};
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            // Not JSON - the status alone has to do
+        }
+
+        const kind = classifyFailure(response.status, errorCode(body));
+        console.error(`${service} error:`, response.status, text);
+        return new ApiError(kind, `${service} error: ${response.status} - ${text}`, {
+            service: service,
+            status: response.status,
+            retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
+    }
+}
+
+// OpenAI puts the reason in error.code or error.type, ElevenLabs in detail.status,
+// and our own API routes in code
+function errorCode(body) {
+    if (!body || typeof body !== 'object') return '';
+    if (body.code) return String(body.code);
+    if (body.error && typeof body.error === 'object') return String(body.error.code || body.error.type || '');
+    if (body.detail && typeof body.detail === 'object') return String(body.detail.status || '');
+    return '';
+}
+
+export function classifyFailure(status, code = '') {
+    if (code === 'missing_key' || code === 'invalid_api_key') return API_ERROR_KINDS.INVALID_KEY;
+    if (/quota/.test(code) || status === 402) return API_ERROR_KINDS.QUOTA;
+    if (status === 401 || status === 403) return API_ERROR_KINDS.INVALID_KEY;
+    if (status === 429) return API_ERROR_KINDS.RATE_LIMITED;
+    if (status === 408 || status === 504) return API_ERROR_KINDS.TIMEOUT;
+    if (status >= 500) return API_ERROR_KINDS.SERVER;
+    return API_ERROR_KINDS.BAD_REQUEST;
+}
+
+// Retry-After is either seconds or an HTTP date
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// A duration from the Server-Timing header ("upstream;dur=1234"), in milliseconds, or null
+export function serverTimingMs(response, name) {
+    const header = response && response.headers ? response.headers.get('server-timing') : null;
+    const entry = (header || '').split(',').map(part => part.trim()).find(part => part.split(';')[0] === name);
+    const match = entry && entry.match(/;\s*dur=([\d.]+)/);
+    return match ? Number(match[1]) : null;
+}
+
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// options: { service, timeoutMs, retries, backoffMs, maxBackoffMs, fetch }. init.signal still
+// cancels the request; a cancelled request rejects with the AbortError as fetch does.
+// options.fetch replaces the browser's fetch, e.g. with a fake in tests.
+export async function fetchWithRetry(url, init = {}, options = {}) {
+    const service = options.service || 'Request';
+    const retries = options.retries !== undefined ? options.retries : 2;
+    const backoffMs = options.backoffMs || 500;
+    const maxBackoffMs = options.maxBackoffMs || 8000;
+
+    for (let attempt = 0; ; attempt++) {
+        if (isOffline()) {
+            throw new ApiError(API_ERROR_KINDS.OFFLINE, `${service} error: offline`, { service: service });
+        }
+
+        let error;
+        try {
+            const response = await fetchWithTimeout(url, init, options.timeoutMs || 20000, service, options.fetch || fetch);
+            if (response.ok) {
+                return response;
+            }
+            error = await ApiError.fromResponse(response, service);
+        } catch (caught) {
+            if (init.signal && init.signal.aborted) {
+                throw caught;
+            }
+            error = caught instanceof ApiError ? caught : new ApiError(
+                isOffline() ? API_ERROR_KINDS.OFFLINE : API_ERROR_KINDS.NETWORK,
+                `${service} error: ${caught.message}`,
+                { service: service }
+            );
+        }
+
+        if (!error.retryable || attempt >= retries) {
+            throw error;
+        }
+
+        // Exponential backoff with some jitter, unless the service said how long to wait
+        const delay = error.retryAfterMs !== null ?
+            Math.min(error.retryAfterMs, maxBackoffMs) :
+            Math.min(maxBackoffMs, backoffMs * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+        console.log(`${service} failed (${error.kind}), retrying in ${Math.round(delay)} ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+// The timeout covers the wait for the response headers; streamed bodies use readWithTimeout
+async function fetchWithTimeout(url, init, timeoutMs, service, fetchImpl) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+
+    const forwardAbort = () => controller.abort();
+    if (init.signal) {
+        if (init.signal.aborted) {
+            controller.abort();
+        }
+        init.signal.addEventListener('abort', forwardAbort);
+    }
+
+    try {
+        return await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new ApiError(API_ERROR_KINDS.TIMEOUT, `${service} error: no response after ${timeoutMs} ms`, { service: service });
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (init.signal) {
+            init.signal.removeEventListener('abort', forwardAbort);
+        }
+    }
+}
+
+// reader.read() that gives up when a stream stalls for timeoutMs
+export async function readWithTimeout(reader, timeoutMs, service = 'Request') {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reader.cancel().catch(() => {});
+            reject(new ApiError(API_ERROR_KINDS.TIMEOUT, `${service} error: stream stalled for ${timeoutMs} ms`, { service: service }));
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([reader.read(), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -0,0 +1,96 @@
+// Response cache
+// Users often ask the same thing twice without moving the camera, e.g. when they missed the
+// answer or aren't sure they were heard. Results are kept for a short while, keyed on the
+// frame's perceptual hash and the normalized question, so those are answered locally instead
+// of by another API call. Frames only a few bits apart count as the same frame. Answers to
+// follow-up questions depend on what was said before, so that is part of the key as well.
+
+import { normalizeText } from './i18n.js';
+import { hashDistance } from './frame-quality.js';
+
+export class ResponseCache {
+    // options: { ttlMs, maxDistance, maxEntries, now }
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 30000;
+        this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : 5; // Of the hash's 64 bits
+        this.maxEntries = options.maxEntries || 20;
+        this.now = options.now || (() => Date.now());
+        this.entries = []; // { key, context, hash, value, time, expires }
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    // The cached answer for a frame like this one and this question, or null.
+    // options.context: the conversation so far (Conversation.digest); "what colour is it?"
+    // after another question is another question
+    get(frameHash, question, options = {}) {
+        if (!frameHash) {
+            return null;
+        }
+        this.prune();
+
+        const key = cacheKey(question);
+        const context = options.context || '';
+        let best = null;
+        this.entries.forEach(entry => {
+            const distance = entry.key === key && entry.context === context ? hashDistance(entry.hash, frameHash) : Infinity;
+            if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+                best = { entry, distance };
+            }
+        });
+
+        if (!best) {
+            this.stats.misses++;
+            return null;
+        }
+
+        this.stats.hits++;
+        const age = Math.round((this.now() - best.entry.time) / 1000);
+        console.log(`Cache hit for ${key} (${best.distance} bits apart, ${age} s old) - ${this.describeStats()}`);
+        return best.entry.value;
+    }
+
+    // options.context as for get
+    set(frameHash, question, value, options = {}) {
+        if (!frameHash) {
+            return;
+        }
+
+        const now = this.now();
+        this.entries.push({
+            key: cacheKey(question),
+            context: options.context || '',
+            hash: frameHash,
+            value: value,
+            time: now,
+            expires: now + this.ttlMs
+        });
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    // Cached answers are in the old language or from the old provider after a change, or
+    // belong to a conversation that was reset
+    clear() {
+        this.entries = [];
+    }
+
+    get hitRate() {
+        const total = this.stats.hits + this.stats.misses;
+        return total ? this.stats.hits / total : 0;
+    }
+
+    describeStats() {
+        return `${this.stats.hits} hits, ${this.stats.misses} misses (${Math.round(this.hitRate * 100)}% hit rate)`;
+    }
+
+    prune() {
+        const now = this.now();
+        this.entries = this.entries.filter(entry => entry.expires > now);
+    }
+}
+
+// "What's in front of me?" and "what's in front of me" are the same question
+function cacheKey(question) {
+    return normalizeText(question).replace(/\s+/g, ' ');
+}
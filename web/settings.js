@@ -0,0 +1,255 @@
+// User settings
+// Each setting is stored under its own localStorage key ('blindvision.<name>'), so
+// everything stays on the device and survives reloads. Empty values mean "use the default".
+
+import { LANGUAGES, translate } from './i18n.js';
+
+const SETTINGS_PREFIX = 'blindvision.';
+
+export const SETTING_DEFAULTS = {
+    language: '',                 // Detected from the browser
+    activationMode: 'wake-word',
+    wakeWord: '',                 // The language's own wake word ("Assistant")
+    ttsEngine: '',                // ElevenLabs when the server has a key, otherwise the device voice
+    voiceId: '21m00Tcm4TlvDq8ikWAM',
+    browserVoice: '',             // Best available voice for the language
+    speechRate: 1,
+    verbosity: 'normal',          // A profile in VERBOSITY_LEVELS (prompts.js)
+    userContext: '',              // What the user wants the assistant to know about them
+    conversationFrames: false,    // Follow-up questions also send the earlier pictures (more tokens)
+    camera: 'environment',        // Rear camera; 'user' for the front one
+    earcons: true,
+    haptics: true,
+    hapticIntensity: 'normal',    // 'light', 'normal' or 'strong'
+    offlineFallback: false,       // Downloads the on-device model
+    visionProvider: '',           // The deployment's VISION_PROVIDER
+    visionBaseUrl: '',
+    visionModel: '',
+    visionApiKey: '',
+    openaiKey: '',
+    elevenLabsKey: '',
+    dailyBudget: ''               // US dollars; the deployment's DAILY_BUDGET_USD
+};
+
+// The range of the speech rate slider, also used by "slower" and "faster"
+export const SPEECH_RATE_LIMITS = { min: 0.5, max: 2 };
+
+// A few of ElevenLabs' premade voices - all of them speak every language of the multilingual model
+const ELEVENLABS_VOICES = [
+    { id: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel' },
+    { id: 'EXAVITQu4vr4xnYdNjjb', name: 'Bella' },
+    { id: 'AZnzlk1XvdvUeBnXmlld', name: 'Domi' },
+    { id: 'ErXwobaYiN019PkySvjV', name: 'Antoni' },
+    { id: 'TxGEqnHWrfWFTfGW9XjX', name: 'Josh' },
+    { id: 'pNInz6obpgDQGcFmaJgB', name: 'Adam' }
+];
+
+// storage: localStorage unless another one is passed in, e.g. in tests
+export function loadSettings(storage = localStorage) {
+    const settings = {};
+
+    Object.keys(SETTING_DEFAULTS).forEach(name => {
+        const fallback = SETTING_DEFAULTS[name];
+        const stored = storage.getItem(SETTINGS_PREFIX + name);
+
+        if (stored === null) {
+            settings[name] = fallback;
+        } else if (typeof fallback === 'number') {
+            settings[name] = Number(stored) || fallback;
+        } else if (typeof fallback === 'boolean') {
+            settings[name] = stored === 'true';
+        } else {
+            settings[name] = stored;
+        }
+    });
+
+    return settings;
+}
+
+export function saveSetting(name, value, storage = localStorage) {
+    if (value === '' || value === null || value === undefined) {
+        storage.removeItem(SETTINGS_PREFIX + name);
+    } else {
+        storage.setItem(SETTINGS_PREFIX + name, String(value));
+    }
+}
+
+// The settings dialog in index.html. Uses a native <dialog> so focus is trapped,
+// Escape closes it and screen readers announce it as a modal.
+export class SettingsPanel {
+    // options: { translate(key, params), getLanguage(), onOpen(), onClose(), onSave(settings), document }
+    constructor(options) {
+        this.options = options;
+        this.document = options.document || document;
+        this.dialog = this.document.getElementById('settingsDialog');
+        this.form = this.document.getElementById('settingsForm');
+        this.openButton = this.document.getElementById('settingsButton');
+        this.fields = {};
+
+        if (!this.dialog || !this.form) {
+            console.log('Settings panel not found');
+            return;
+        }
+
+        this.form.querySelectorAll('[name]').forEach(field => {
+            this.fields[field.name] = field;
+        });
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.openButton) {
+            this.openButton.addEventListener('click', () => this.open());
+        }
+
+        this.document.getElementById('settingsCancel').addEventListener('click', () => this.close());
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const settings = this.read();
+            this.close();
+            this.options.onSave(settings);
+        });
+
+        this.dialog.addEventListener('close', () => {
+            if (this.openButton) {
+                this.openButton.focus();
+            }
+            this.options.onClose();
+        });
+
+        this.fields.speechRate.addEventListener('input', () => this.describeRate());
+        this.fields.ttsEngine.addEventListener('change', () => this.populateVoices());
+        this.fields.language.addEventListener('change', () => this.populateVoices());
+        this.fields.visionProvider.addEventListener('change', () => this.showProviderFields());
+    }
+
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.open);
+    }
+
+    open(settings) {
+        if (!this.dialog || this.isOpen()) return;
+
+        this.translateLabels();
+        this.fill(settings || loadSettings());
+        this.dialog.showModal();
+        this.options.onOpen();
+    }
+
+    close() {
+        if (this.isOpen()) {
+            this.dialog.close();
+        }
+    }
+
+    translateLabels() {
+        this.dialog.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.options.translate(element.dataset.i18n);
+        });
+        if (this.openButton) {
+            this.openButton.textContent = this.options.translate('settingsButton');
+        }
+    }
+
+    fill(settings) {
+        const languageSelect = this.fields.language;
+        languageSelect.innerHTML = '';
+        languageSelect.appendChild(new Option(this.options.translate('languageAuto'), ''));
+        Object.keys(LANGUAGES).forEach(code => {
+            languageSelect.appendChild(new Option(LANGUAGES[code].nativeName, code));
+        });
+
+        Object.keys(this.fields).forEach(name => {
+            const field = this.fields[name];
+            if (field.type === 'radio') {
+                return;
+            }
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(settings[name]);
+                return;
+            }
+            if (settings[name] !== undefined && name !== 'voice') {
+                field.value = settings[name];
+            }
+        });
+
+        this.form.querySelectorAll('input[name="activationMode"]').forEach(radio => {
+            radio.checked = radio.value === settings.activationMode;
+        });
+
+        this.populateVoices(settings);
+        this.describeRate();
+        this.showProviderFields();
+    }
+
+    // The voice list depends on the engine: ElevenLabs' voices or the device's voices for the language
+    populateVoices(settings) {
+        const voiceSelect = this.fields.voice;
+        const current = settings ?
+            (this.usesElevenLabs() ? settings.voiceId : settings.browserVoice) :
+            voiceSelect.value;
+
+        voiceSelect.innerHTML = '';
+
+        if (this.usesElevenLabs()) {
+            ELEVENLABS_VOICES.forEach(voice => voiceSelect.appendChild(new Option(voice.name, voice.id)));
+        } else {
+            voiceSelect.appendChild(new Option(this.options.translate('voiceDefault'), ''));
+
+            const language = this.fields.language.value || this.options.getLanguage();
+            const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+            voices
+                .filter(voice => voice.lang.toLowerCase().startsWith(language))
+                .forEach(voice => voiceSelect.appendChild(new Option(`${voice.name} (${voice.lang})`, voice.name)));
+        }
+
+        if (Array.from(voiceSelect.options).some(option => option.value === current)) {
+            voiceSelect.value = current;
+        }
+    }
+
+    usesElevenLabs() {
+        const engine = this.fields.ttsEngine.value;
+        return engine === 'elevenlabs' || (engine === '' && Boolean(window.ENV && window.ENV.ELEVENLABS_ENABLED));
+    }
+
+    // Screen readers announce aria-valuetext instead of a bare number
+    describeRate() {
+        const rate = Number(this.fields.speechRate.value).toFixed(1);
+        const description = this.options.translate('rateValue', { rate: rate });
+        this.fields.speechRate.setAttribute('aria-valuetext', description);
+        this.document.getElementById('settingSpeechRateValue').textContent = description;
+    }
+
+    showProviderFields() {
+        const isCompatible = this.fields.visionProvider.value === 'compatible';
+        this.document.getElementById('compatibleProviderFields').hidden = !isCompatible;
+    }
+
+    read() {
+        const settings = {};
+
+        Object.keys(this.fields).forEach(name => {
+            const field = this.fields[name];
+            if (field.type === 'checkbox') {
+                settings[name] = field.checked;
+            } else if (name !== 'voice' && name !== 'activationMode') {
+                settings[name] = field.value.trim();
+            }
+        });
+
+        const checkedMode = this.form.querySelector('input[name="activationMode"]:checked');
+        settings.activationMode = checkedMode ? checkedMode.value : SETTING_DEFAULTS.activationMode;
+        settings.speechRate = Number(settings.speechRate) || SETTING_DEFAULTS.speechRate;
+
+        // The voice field holds an ElevenLabs voice ID or a device voice name depending on the engine
+        if (this.usesElevenLabs()) {
+            settings.voiceId = this.fields.voice.value;
+        } else {
+            settings.browserVoice = this.fields.voice.value;
+        }
+
+        return settings;
+    }
+}
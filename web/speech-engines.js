@@ -0,0 +1,565 @@
+// Speech output
+// Engines know how to say one piece of text and how to stop. The SpeechQueue decides
+// what gets said when, so queueing and priorities live in exactly one place.
+
+import { API_ERROR_KINDS, ApiError, fetchWithRetry, readWithTimeout } from './request.js';
+
+export const SPEECH_PRIORITY = {
+    HAZARD: 'hazard',   // Interrupts anything less urgent and jumps the queue
+    NORMAL: 'normal',   // Answers and announcements - always spoken, in order
+    CHATTER: 'chatter'  // Nice-to-have prompts - dropped if anything else is going on
+};
+
+const PRIORITY_RANK = {
+    hazard: 0,
+    normal: 1,
+    chatter: 2
+};
+
+export class SpeechEngine {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.language = options.language || 'en-US';
+    }
+
+    // BCP 47 locale, e.g. 'es-ES'
+    setLanguage(language) {
+        this.language = language;
+    }
+
+    // Resolves once the text has been spoken (or cancelled), rejects if the engine failed
+    async speak(text, options = {}) {
+        throw new Error(`${this.name} engine does not implement speak`);
+    }
+
+    cancel() {}
+}
+
+// ElevenLabs through our /api/tts proxy
+export class ElevenLabsSpeechEngine extends SpeechEngine {
+    constructor(options = {}) {
+        super('ElevenLabs', options);
+        this.voiceId = options.voiceId || '21m00Tcm4TlvDq8ikWAM';
+        // The multilingual model picks up the language from the text itself
+        this.modelId = options.modelId || 'eleven_multilingual_v2';
+        this.speed = options.rate || 1;
+        this.apiKey = options.apiKey || '';
+        this.streaming = options.streaming !== false;
+        this.onUsage = options.onUsage || (() => {}); // Told the characters each request sends, for the usage meter
+        this.Audio = options.Audio || (typeof Audio !== 'undefined' ? Audio : null); // Replaced by a fake in tests
+        this.fetch = options.fetch; // The browser's fetch unless a fake is passed in
+        // Safari on iOS only has the managed variant. Without either, clips play once fully downloaded.
+        this.MediaSource = options.MediaSource !== undefined ? options.MediaSource :
+            (typeof window !== 'undefined' ? window.ManagedMediaSource || window.MediaSource || null : null);
+        this.currentAudio = null;
+        this.abortController = null;
+        this.finishCurrent = null;
+        this.loadTimeoutMs = 10000; // Give up if the audio hasn't started by then
+    }
+
+    async speak(text) {
+        // Streaming lets the audio start playing while ElevenLabs is still generating
+        const streaming = this.streaming && canStreamAudio(this.MediaSource);
+
+        this.abortController = new AbortController();
+
+        const headers = {
+            'Accept': 'audio/mpeg',
+            'Content-Type': 'application/json'
+        };
+        if (this.apiKey) {
+            headers['X-ElevenLabs-Key'] = this.apiKey;
+        }
+
+        // One retry only - the device voice takes over after that
+        const response = await fetchWithRetry('/api/tts', {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({
+                text: text,
+                voiceId: this.voiceId,
+                modelId: this.modelId,
+                speed: this.speed,
+                stream: streaming
+            }),
+            signal: this.abortController.signal
+        }, { service: 'ElevenLabs', timeoutMs: 15000, retries: 1, fetch: this.fetch });
+
+        // ElevenLabs bills the characters once it has accepted them, even when playback is cut short
+        this.onUsage({ service: this.name, characters: text.length });
+
+        const audioUrl = streaming ?
+            this.streamToMediaSource(response) :
+            URL.createObjectURL(await response.blob());
+
+        try {
+            await this.play(audioUrl);
+        } finally {
+            URL.revokeObjectURL(audioUrl);
+        }
+    }
+
+    // Feeds the response body to a MediaSource as it arrives and returns a URL for it
+    streamToMediaSource(response) {
+        const mediaSource = new this.MediaSource();
+        const audioUrl = URL.createObjectURL(mediaSource);
+
+        mediaSource.addEventListener('sourceopen', async () => {
+            const buffer = mediaSource.addSourceBuffer('audio/mpeg');
+            const reader = response.body.getReader();
+            try {
+                while (true) {
+                    const { done, value } = await readWithTimeout(reader, this.loadTimeoutMs, this.name);
+                    if (done) {
+                        break;
+                    }
+                    await appendToBuffer(buffer, value);
+                }
+            } catch (error) {
+                // Cancelled or cut off - what has arrived still plays to the end
+                console.log('ElevenLabs stream ended early:', error);
+            }
+            if (mediaSource.readyState === 'open') {
+                mediaSource.endOfStream();
+            }
+        }, { once: true });
+
+        return audioUrl;
+    }
+
+    play(audioUrl) {
+        return new Promise((resolve, reject) => {
+            const audio = new this.Audio(audioUrl);
+            audio.volume = 1.0;
+            audio.disableRemotePlayback = true; // Safari only plays a ManagedMediaSource with this set
+            this.currentAudio = audio;
+
+            // A stalled stream never fires an error, so don't wait forever for it to start
+            const loadTimer = setTimeout(() => {
+                finish(new ApiError(API_ERROR_KINDS.TIMEOUT, 'ElevenLabs error: audio did not start', { service: 'ElevenLabs' }));
+            }, this.loadTimeoutMs);
+
+            const finish = (error) => {
+                clearTimeout(loadTimer);
+                audio.onended = null;
+                audio.onerror = null;
+                audio.onplaying = null;
+                if (error) {
+                    audio.pause();
+                }
+                if (this.currentAudio === audio) {
+                    this.currentAudio = null;
+                    this.finishCurrent = null;
+                }
+                error ? reject(error) : resolve();
+            };
+            this.finishCurrent = () => finish();
+
+            audio.onended = () => {
+                console.log('ElevenLabs audio finished');
+                finish();
+            };
+            audio.onplaying = () => clearTimeout(loadTimer);
+            audio.onerror = () => finish(new Error('ElevenLabs audio playback failed'));
+
+            audio.play().catch(finish);
+        });
+    }
+
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        if (this.currentAudio) {
+            try {
+                this.currentAudio.pause();
+                this.currentAudio.src = '';
+            } catch (e) {
+                console.log('Error stopping audio:', e);
+            }
+        }
+
+        if (this.finishCurrent) {
+            this.finishCurrent();
+        }
+    }
+}
+
+function canStreamAudio(MediaSourceClass) {
+    return Boolean(MediaSourceClass && MediaSourceClass.isTypeSupported && MediaSourceClass.isTypeSupported('audio/mpeg'));
+}
+
+// Resolves once the chunk has been added - a SourceBuffer takes one chunk at a time
+function appendToBuffer(buffer, chunk) {
+    return new Promise((resolve, reject) => {
+        buffer.onupdateend = () => resolve();
+        buffer.onerror = () => reject(new Error('ElevenLabs audio could not be buffered'));
+        buffer.appendBuffer(chunk);
+    });
+}
+
+// The browser's built-in speechSynthesis
+export class WebSpeechEngine extends SpeechEngine {
+    constructor(options = {}) {
+        super('Web Speech', options);
+        this.rate = 0.9 * (options.rate || 1); // Slightly slower than default for clarity
+        this.pitch = options.pitch || 1.1;     // Slightly higher for warmth
+        this.voiceName = options.voiceName || '';
+        // The browser's speechSynthesis unless fakes are passed in
+        this.synth = options.synth || (typeof speechSynthesis !== 'undefined' ? speechSynthesis : null);
+        this.Utterance = options.Utterance || (typeof SpeechSynthesisUtterance !== 'undefined' ? SpeechSynthesisUtterance : null);
+    }
+
+    isSupported() {
+        return Boolean(this.synth && this.Utterance);
+    }
+
+    async speak(text) {
+        if (!this.isSupported()) {
+            throw new Error('Speech synthesis not supported');
+        }
+
+        return new Promise((resolve, reject) => {
+            const utterance = new this.Utterance(text);
+            utterance.lang = this.language;
+            utterance.rate = this.rate;
+            utterance.pitch = this.pitch;
+            utterance.volume = 1.0;
+
+            const bestVoice = this.pickVoice();
+            if (bestVoice) {
+                utterance.voice = bestVoice;
+            }
+
+            utterance.onend = () => {
+                console.log('Browser speech ended');
+                resolve();
+            };
+
+            utterance.onerror = (event) => {
+                // Cancelling speech reports an error - that's not a failure
+                if (event.error === 'interrupted' || event.error === 'canceled') {
+                    resolve();
+                    return;
+                }
+                console.error('Browser speech error:', event.error);
+                reject(new Error(`Browser speech error: ${event.error}`));
+            };
+
+            this.synth.speak(utterance);
+        });
+    }
+
+    pickVoice() {
+        const voices = this.synth.getVoices();
+        const locale = this.language.toLowerCase();
+
+        // A voice the user picked wins, as long as it still exists
+        const chosen = this.voiceName && voices.find(voice => voice.name === this.voiceName);
+        if (chosen) {
+            return chosen;
+        }
+        const languageCode = locale.split('-')[0];
+
+        // Voices report their language as 'es-ES' or 'es_ES' depending on the platform
+        const voiceLocale = voice => (voice.lang || '').toLowerCase().replace('_', '-');
+        const sameLanguage = voice => voiceLocale(voice).split('-')[0] === languageCode;
+
+        // Priority order for better voices: the exact locale first, then any voice in the language
+        const voicePreferences = [
+            voice => ['Samantha', 'Alex', 'Victoria', 'Monica', 'Paulina'].some(name => voice.name.includes(name)) && voiceLocale(voice) === locale,
+            voice => (voice.name.includes('Google') || voice.name.includes('Natural')) && voiceLocale(voice) === locale,
+            voice => voiceLocale(voice) === locale && !voice.name.includes('Microsoft'),
+            voice => (voice.name.includes('Google') || voice.name.includes('Natural')) && sameLanguage(voice),
+            voice => sameLanguage(voice) && !voice.name.includes('Microsoft'),
+            voice => sameLanguage(voice)
+        ];
+
+        for (const preference of voicePreferences) {
+            const voice = voices.find(preference);
+            if (voice) {
+                return voice;
+            }
+        }
+        return null;
+    }
+
+    cancel() {
+        if (this.isSupported()) {
+            this.synth.cancel();
+        }
+    }
+}
+
+// Records what would have been said - for tests and silent development
+export class MockSpeechEngine extends SpeechEngine {
+    constructor(options = {}) {
+        super('Mock', options);
+        this.durationMs = options.durationMs || 0;
+        this.spoken = [];
+        this.timer = null;
+        this.finishCurrent = null;
+    }
+
+    async speak(text) {
+        this.spoken.push(text);
+        console.log('Mock speech:', text);
+
+        return new Promise(resolve => {
+            this.finishCurrent = resolve;
+            this.timer = setTimeout(() => {
+                this.finishCurrent = null;
+                resolve();
+            }, this.durationMs);
+        });
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        if (this.finishCurrent) {
+            this.finishCurrent();
+            this.finishCurrent = null;
+        }
+    }
+}
+
+// config: { engine: 'elevenlabs' | 'browser' | 'mock', language, rate, voiceId, voiceName, modelId, apiKey, streaming, onUsage, synth, Utterance, Audio, MediaSource, fetch }
+export function createSpeechEngine(config = {}) {
+    switch (config.engine) {
+        case 'elevenlabs':
+            return new ElevenLabsSpeechEngine(config);
+        case 'mock':
+            return new MockSpeechEngine(config);
+        case 'browser':
+        default:
+            return new WebSpeechEngine(config);
+    }
+}
+
+// Splits streamed text into whole sentences so each one can be spoken as soon as it's complete
+export class SentenceChunker {
+    constructor() {
+        this.buffer = '';
+    }
+
+    // Returns the sentences completed by this piece of text
+    push(text) {
+        this.buffer += text;
+        const sentences = [];
+
+        // A sentence ends at . ! ? or … followed by whitespace, or at a line break.
+        // Requiring the whitespace keeps numbers like 3.5 in one piece.
+        const boundary = /[.!?…]+["')\]]*\s+|\n+/g;
+        let start = 0;
+        let match;
+
+        while ((match = boundary.exec(this.buffer)) !== null) {
+            const sentence = this.buffer.slice(start, match.index + match[0].length).trim();
+            if (sentence) {
+                sentences.push(sentence);
+            }
+            start = match.index + match[0].length;
+        }
+
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+
+    // Returns whatever is left once the stream has ended
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest;
+    }
+}
+
+export class SpeechQueue {
+    // options: { fallbackEngine, gapMs, onStart, onIdle, onSpoken }
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.fallbackEngine = options.fallbackEngine || null;
+        this.gapMs = options.gapMs !== undefined ? options.gapMs : 300;
+        this.onStart = options.onStart || (() => {});
+        this.onIdle = options.onIdle || (() => {});
+        this.onSpoken = options.onSpoken || (() => {});
+
+        this.items = [];
+        this.current = null;
+        this.running = false;
+        this.nextId = 1;
+    }
+
+    get isSpeaking() {
+        return this.running;
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    // Returns a promise that resolves to { spoken, reason } once the text has been
+    // spoken, dropped or cancelled. The promise also carries a cancel() for this item.
+    enqueue(text, options = {}) {
+        const priority = options.priority || SPEECH_PRIORITY.NORMAL;
+        let item;
+
+        const promise = new Promise(resolve => {
+            item = { id: this.nextId++, text: text, priority: priority, resolve: resolve };
+        });
+        promise.cancel = () => this.cancel(item.id);
+
+        if (!text || !text.trim()) {
+            item.resolve({ spoken: false, reason: 'empty' });
+            return promise;
+        }
+
+        // Chit-chat is only worth saying when nothing else is
+        if (priority === SPEECH_PRIORITY.CHATTER && (this.isSpeaking || this.items.length > 0)) {
+            console.log('Dropping low-priority speech:', text.substring(0, 50));
+            item.resolve({ spoken: false, reason: 'dropped' });
+            return promise;
+        }
+
+        this.insert(item);
+
+        if (priority === SPEECH_PRIORITY.HAZARD && this.current && PRIORITY_RANK[this.current.priority] > PRIORITY_RANK.hazard) {
+            this.interruptCurrent();
+        }
+
+        this.run();
+
+        return promise;
+    }
+
+    // Keep the queue ordered by priority, first-in first-out within a priority.
+    // first puts the item ahead of the others of its priority instead.
+    insert(item, first = false) {
+        const rank = PRIORITY_RANK[item.priority];
+        const index = this.items.findIndex(queued => first ?
+            PRIORITY_RANK[queued.priority] >= rank :
+            PRIORITY_RANK[queued.priority] > rank);
+        if (index === -1) {
+            this.items.push(item);
+        } else {
+            this.items.splice(index, 0, item);
+        }
+    }
+
+    interruptCurrent() {
+        const interrupted = this.current;
+        console.log('Interrupting speech for a hazard warning');
+
+        // Answers the user asked for are said again after the warning, chit-chat is let go.
+        // The cut-off sentence goes back before the rest of its answer.
+        if (interrupted.priority === SPEECH_PRIORITY.NORMAL) {
+            interrupted.requeued = true;
+            this.insert(interrupted, true);
+        }
+        this.engine.cancel();
+        if (this.fallbackEngine) {
+            this.fallbackEngine.cancel();
+        }
+    }
+
+    async run() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.onStart();
+
+        // Give the microphone a moment to stop before the first item. Later items follow
+        // straight on so a streamed answer sounds like one reply.
+        if (this.gapMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.gapMs));
+        }
+
+        while (this.items.length > 0) {
+            const item = this.items.shift();
+            item.requeued = false;
+            this.current = item;
+
+            const result = (item.cancelled || item.requeued) ?
+                { spoken: false, reason: 'cancelled' } :
+                await this.speakItem(item);
+            this.current = null;
+            if (result.reason !== 'error') {
+                this.onSpoken(item.text); // Even a cut-off item may have been partly heard
+            }
+
+            // Interrupted items are back in the queue and resolve when they're finally spoken
+            if (!item.requeued) {
+                item.resolve(result);
+            }
+        }
+
+        this.running = false;
+        this.onIdle();
+    }
+
+    async speakItem(item) {
+        console.log(`Speaking (${item.priority}) with ${this.engine.name}:`, item.text.substring(0, 50) + '...');
+
+        try {
+            await this.engine.speak(item.text);
+            return item.cancelled ? { spoken: false, reason: 'cancelled' } : { spoken: true };
+        } catch (error) {
+            if (item.cancelled || item.requeued) {
+                return { spoken: false, reason: 'cancelled' };
+            }
+            if (!this.fallbackEngine) {
+                console.error('Speech failed:', error);
+                return { spoken: false, reason: 'error', error: error };
+            }
+
+            console.log(`${this.engine.name} failed, using ${this.fallbackEngine.name} fallback`);
+            try {
+                await this.fallbackEngine.speak(item.text);
+                return { spoken: true };
+            } catch (fallbackError) {
+                console.error('Fallback speech failed:', fallbackError);
+                return { spoken: false, reason: 'error', error: fallbackError };
+            }
+        }
+    }
+
+    cancel(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index !== -1) {
+            const [item] = this.items.splice(index, 1);
+            item.resolve({ spoken: false, reason: 'cancelled' });
+            return;
+        }
+
+        if (this.current && this.current.id === id) {
+            this.current.cancelled = true;
+            this.engine.cancel();
+            if (this.fallbackEngine) {
+                this.fallbackEngine.cancel();
+            }
+        }
+    }
+
+    setLanguage(language) {
+        this.engine.setLanguage(language);
+        if (this.fallbackEngine) {
+            this.fallbackEngine.setLanguage(language);
+        }
+    }
+
+    cancelAll() {
+        const pending = this.items;
+        this.items = [];
+        pending.forEach(item => item.resolve({ spoken: false, reason: 'cancelled' }));
+
+        if (this.current) {
+            this.current.cancelled = true;
+            this.engine.cancel();
+            if (this.fallbackEngine) {
+                this.fallbackEngine.cancel();
+            }
+        }
+    }
+}
@@ -0,0 +1,258 @@
+// Speech input
+// Wraps the browser's SpeechRecognition and keeps it running. Browsers end recognition after
+// silence, after every result on some phones, and whenever we stop it so the microphone doesn't
+// hear our own voice - so most of this is deciding when to start it again.
+
+const RESTART_DELAY_MS = 1000;       // After recognition ends by itself
+const SPEECH_END_DELAY_MS = 1500;    // After we finish speaking - lets the audio really finish
+const RETRY_DELAY_MS = 2000;         // After start() threw
+const MOBILE_RESTART_MS = 20000;     // Mobile browsers quietly stop listening, so restart periodically
+const PUSH_TO_TALK_TAIL_MS = 300;    // Lets the last words arrive after the screen is released
+
+export class SpeechInput {
+    // options: {
+    //   SpeechRecognition - the constructor; the browser's by default
+    //   language, isMobile,
+    //   isSpeaking() - true while the app is talking, so it doesn't listen to itself
+    //   onResult(transcript), onStart(), onEnd(), onError(error)
+    //   timers - { setTimeout, clearTimeout, setInterval, clearInterval }, for tests
+    // }
+    constructor(options = {}) {
+        this.isMobile = Boolean(options.isMobile);
+        this.isSpeaking = options.isSpeaking || (() => false);
+        this.onResult = options.onResult || (() => {});
+        this.onStart = options.onStart || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+        this.onError = options.onError || (() => {});
+        this.timers = options.timers || globalThis;
+
+        this.recognition = null;
+        this.unavailableReason = null; // 'unsupported' or 'failed'
+        this.isListening = false;
+        this.continuous = false;       // Keep restarting recognition whenever it ends
+        this.pushToTalk = false;       // Only listen while the screen is held
+        this.isHeld = false;
+        this.mobileRestartInterval = null;
+
+        const SpeechRecognition = options.SpeechRecognition !== undefined ? options.SpeechRecognition :
+            (typeof window !== 'undefined' ? window.SpeechRecognition || window.webkitSpeechRecognition : null);
+
+        if (!SpeechRecognition) {
+            console.error('Speech recognition not supported in this browser');
+            this.unavailableReason = 'unsupported';
+            return;
+        }
+
+        try {
+            this.recognition = new SpeechRecognition();
+        } catch (error) {
+            console.error('Failed to initialize speech recognition:', error);
+            this.unavailableReason = 'failed';
+            return;
+        }
+
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+        this.recognition.lang = options.language || 'en-US';
+        this.recognition.maxAlternatives = 1;
+
+        this.recognition.onstart = () => {
+            console.log('Speech recognition started');
+            this.isListening = true;
+            this.onStart();
+        };
+
+        this.recognition.onresult = (event) => {
+            const lastResult = event.results[event.results.length - 1];
+
+            if (lastResult.isFinal) {
+                const transcript = lastResult[0].transcript.trim();
+                console.log('User said:', transcript);
+                this.onResult(transcript);
+            }
+        };
+
+        this.recognition.onerror = (event) => {
+            console.error('Speech recognition error:', event.error);
+            this.isListening = false;
+            this.onError(event.error);
+        };
+
+        this.recognition.onend = () => {
+            console.log('Speech recognition ended');
+            this.isListening = false;
+            this.onEnd();
+
+            // Restart listening automatically
+            if (this.continuous && !this.isSpeaking()) {
+                this.timers.setTimeout(() => {
+                    if (this.continuous && !this.isSpeaking()) {
+                        console.log('Auto-restarting recognition...');
+                        this.startContinuous();
+                    }
+                }, RESTART_DELAY_MS);
+            }
+        };
+    }
+
+    get available() {
+        return Boolean(this.recognition);
+    }
+
+    // BCP 47 locale. Recognition picks it up the next time it starts.
+    setLanguage(locale) {
+        if (this.recognition) {
+            this.recognition.lang = locale;
+        }
+    }
+
+    startContinuous() {
+        if (!this.recognition) {
+            console.log('Speech recognition not available');
+            return;
+        }
+
+        if (this.isListening) {
+            console.log('Already listening');
+            return;
+        }
+
+        // Push to talk only listens while the screen is held
+        if (this.pushToTalk) {
+            return;
+        }
+
+        console.log('Starting continuous listening...');
+        this.continuous = true;
+
+        try {
+            this.recognition.start();
+            this.isListening = true;
+            console.log('Continuous listening started');
+
+            if (this.isMobile && !this.mobileRestartInterval) {
+                this.mobileRestartInterval = this.timers.setInterval(() => this.restartForMobile(), MOBILE_RESTART_MS);
+            }
+        } catch (error) {
+            console.error('Failed to start recognition:', error);
+
+            // Check if it's because recognition is already started
+            if (error.message && error.message.includes('already started')) {
+                console.log('Recognition already running');
+                this.isListening = true;
+            } else {
+                this.timers.setTimeout(() => this.startContinuous(), RETRY_DELAY_MS);
+            }
+        }
+    }
+
+    restartForMobile() {
+        if (!this.continuous || this.isSpeaking()) {
+            return;
+        }
+
+        console.log('Restarting recognition for mobile...');
+        try {
+            if (this.isListening) {
+                this.recognition.stop();
+                this.isListening = false;
+            }
+        } catch (error) {
+            console.log('Error stopping recognition for restart:', error);
+            return;
+        }
+
+        this.timers.setTimeout(() => {
+            if (!this.continuous || this.isSpeaking() || this.isListening) {
+                return;
+            }
+            try {
+                this.recognition.start();
+                this.isListening = true;
+                console.log('Mobile recognition restarted successfully');
+            } catch (error) {
+                console.log('Error starting recognition:', error);
+                this.timers.setTimeout(() => {
+                    if (this.continuous && !this.isSpeaking() && !this.isListening) {
+                        this.startContinuous();
+                    }
+                }, RETRY_DELAY_MS);
+            }
+        }, 200);
+    }
+
+    // Stops listening for a moment - while a command is handled or we're speaking.
+    // Continuous listening picks up again afterwards.
+    pause() {
+        if (this.recognition && this.isListening) {
+            console.log('Pausing speech recognition');
+            this.recognition.stop();
+        }
+    }
+
+    // Call once the app has finished speaking
+    resumeAfterSpeech() {
+        if (!this.continuous || this.isListening) {
+            return;
+        }
+
+        console.log('Restarting speech recognition after speaking');
+        this.timers.setTimeout(() => {
+            if (!this.isSpeaking()) {
+                this.startContinuous();
+            }
+        }, SPEECH_END_DELAY_MS);
+    }
+
+    // Stops listening until startContinuous is called again
+    stop() {
+        if (this.recognition && this.isListening) {
+            try {
+                this.recognition.stop();
+                this.isListening = false;
+            } catch (error) {
+                console.log('Error stopping recognition:', error);
+            }
+        }
+
+        if (this.mobileRestartInterval) {
+            this.timers.clearInterval(this.mobileRestartInterval);
+            this.mobileRestartInterval = null;
+        }
+
+        this.continuous = false;
+    }
+
+    holdStart() {
+        if (!this.recognition) {
+            return;
+        }
+
+        console.log('Push to talk: listening');
+        this.isHeld = true;
+
+        if (!this.isListening) {
+            try {
+                this.recognition.start();
+                this.isListening = true;
+            } catch (error) {
+                console.error('Failed to start push to talk recognition:', error);
+            }
+        }
+    }
+
+    holdEnd() {
+        if (!this.isHeld) {
+            return;
+        }
+
+        console.log('Push to talk: released');
+        this.isHeld = false;
+
+        this.timers.setTimeout(() => {
+            if (!this.isHeld && this.isListening) {
+                this.recognition.stop();
+            }
+        }, PUSH_TO_TALK_TAIL_MS);
+    }
+}
@@ -0,0 +1,60 @@
+// Speech output
+// Everything the app says goes through one SpeechQueue. This builds the queue and its engines
+// from the user's settings, and swaps them when the settings change.
+
+import { ElevenLabsSpeechEngine, SpeechQueue, WebSpeechEngine, createSpeechEngine } from './speech-engines.js';
+
+export class SpeechOutput {
+    // config: see createSpeechEngine. options: { onStart, onIdle, onSpoken, gapMs }
+    constructor(config, options = {}) {
+        this.options = options;
+        this.queue = null;
+        this.configure(config);
+    }
+
+    // Voice, rate and engine are fixed when an engine is made, so a new config means new engines
+    configure(config) {
+        if (this.queue) {
+            this.queue.cancelAll();
+        }
+
+        const engine = createSpeechEngine(config);
+        console.log('Using speech engine:', engine.name);
+
+        // Fall back to the device voice if ElevenLabs fails
+        const fallbackEngine = engine instanceof ElevenLabsSpeechEngine ?
+            new WebSpeechEngine({ ...config, engine: 'browser' }) :
+            null;
+
+        this.queue = new SpeechQueue(engine, {
+            fallbackEngine: fallbackEngine,
+            gapMs: this.options.gapMs,
+            onStart: this.options.onStart,
+            onIdle: this.options.onIdle,
+            onSpoken: this.options.onSpoken
+        });
+    }
+
+    get engine() {
+        return this.queue.engine;
+    }
+
+    get isSpeaking() {
+        return this.queue.isSpeaking;
+    }
+
+    // options.priority: SPEECH_PRIORITY.HAZARD interrupts, CHATTER is dropped when busy.
+    // Returns a promise that resolves once the text was spoken, dropped or cancelled.
+    speak(text, options = {}) {
+        return this.queue.enqueue(text, options);
+    }
+
+    cancelAll() {
+        this.queue.cancelAll();
+    }
+
+    // BCP 47 locale
+    setLanguage(locale) {
+        this.queue.setLanguage(locale);
+    }
+}
@@ -0,0 +1,145 @@
+// Service worker
+// Keeps the app shell on the device so the assistant opens from the home screen even with no
+// connection. Page loads try the network first so a deploy is picked up straight away; scripts
+// are served from the cache and refreshed in the background. API calls are never cached.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `blindvision-shell-${CACHE_VERSION}`;
+const MODEL_CACHE = `blindvision-model-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/index.html',
+    '/offline.html',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/icon-180.png',
+    '/icon-192.png',
+    '/icon-512.png',
+    '/env-loader.js',
+    '/i18n.js',
+    '/activation.js',
+    '/settings.js',
+    '/request.js',
+    '/vision-providers.js',
+    '/on-device-vision.js',
+    '/speech-engines.js',
+    '/camera-control.js',
+    '/frame-quality.js',
+    '/image-pipeline.js',
+    '/earcons.js',
+    '/haptics.js',
+    '/text-reader.js',
+    '/object-finder.js',
+    '/install-prompt.js',
+    '/speech-input.js',
+    '/speech-output.js',
+    '/vision-client.js',
+    '/conversation.js',
+    '/answer-history.js',
+    '/response-cache.js',
+    '/usage-meter.js',
+    '/prompts.js',
+    '/command-router.js',
+    '/app-controller.js',
+    '/app.js'
+];
+
+// Where the on-device model's scripts and weights come from. These never change for a given
+// URL, so once downloaded they're served from the cache for good.
+const MODEL_HOSTS = ['cdn.jsdelivr.net', 'storage.googleapis.com', 'tfhub.dev', 'www.kaggle.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, MODEL_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => name.startsWith('blindvision-') && !current.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) {
+            return;
+        }
+        if (request.mode === 'navigate') {
+            event.respondWith(handleNavigation(request));
+        } else if (APP_SHELL.includes(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(request, event));
+        }
+        return;
+    }
+
+    if (MODEL_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Every route is the app (see the rewrite in vercel.json), so offline any page load gets the
+// cached index.html. The offline page is only for when even that is missing.
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match('/index.html');
+        return cached || caches.match('/offline.html');
+    }
+}
+
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(request, response.clone()).then(() => response);
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return (await refresh) || Response.error();
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(MODEL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    // Opaque responses can't be checked, so only cache ones we know succeeded
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
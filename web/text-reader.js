@@ -0,0 +1,97 @@
+// Reading text aloud
+// Transcribed text is split into short pages so the user can step through it
+// ("next", "repeat") instead of sitting through a whole letter at once.
+
+export class TextReader {
+    constructor(text, options = {}) {
+        this.text = text;
+        this.pages = paginateText(text, options.pageSize || 400);
+        this.index = 0;
+    }
+
+    get page() {
+        return this.pages[this.index] || '';
+    }
+
+    get pageNumber() {
+        return this.index + 1;
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    hasNext() {
+        return this.index < this.pages.length - 1;
+    }
+
+    hasPrevious() {
+        return this.index > 0;
+    }
+
+    next() {
+        if (!this.hasNext()) return null;
+        this.index++;
+        return this.page;
+    }
+
+    previous() {
+        if (!this.hasPrevious()) return null;
+        this.index--;
+        return this.page;
+    }
+
+    // What "spell that" refers to: the last line that was read out
+    lastLine() {
+        const lines = this.page.split('\n').map(line => line.trim()).filter(Boolean);
+        return lines.length ? lines[lines.length - 1] : '';
+    }
+}
+
+// Splits text into pages of at most maxChars, breaking between lines where possible
+// and between words when a single line is too long
+export function paginateText(text, maxChars) {
+    const pieces = [];
+
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        if (line.length <= maxChars) {
+            pieces.push(line);
+            return;
+        }
+
+        let current = '';
+        line.split(/\s+/).forEach(word => {
+            if (current && (current + ' ' + word).length > maxChars) {
+                pieces.push(current);
+                current = '';
+            }
+            current = current ? `${current} ${word}` : word;
+        });
+        if (current) {
+            pieces.push(current);
+        }
+    });
+
+    const pages = [];
+    let page = '';
+    pieces.forEach(piece => {
+        if (page && (page + '\n' + piece).length > maxChars) {
+            pages.push(page);
+            page = '';
+        }
+        page = page ? `${page}\n${piece}` : piece;
+    });
+    if (page) {
+        pages.push(page);
+    }
+
+    return pages;
+}
+
+// "Lot 4B" -> "L, o, t, space, 4, B" so speech engines say each character.
+// names maps characters engines tend to skip (space, punctuation) to words.
+export function spellOut(text, names = {}) {
+    return Array.from(text.trim())
+        .map(character => names[character] || character)
+        .join(', ');
+}
@@ -0,0 +1,182 @@
+// Usage metering
+// Counts what the paid services are used for each day - vision tokens from the usage OpenAI
+// reports and ElevenLabs characters - and estimates what that costs, so a daily budget can
+// warn before the bill gets out of hand and switch to cheaper services once it's used up.
+// Kept on this device, like the settings, so the budget only advises - api/_budget.js has
+// what the server enforces on its own keys.
+
+const USAGE_KEY = 'blindvision.usage';
+
+// US dollars, from the providers' public price lists. Estimates only - the bill is what counts.
+// Matched by prefix, so dated model versions ("gpt-4o-2024-08-06") find their price.
+export const VISION_PRICES = {
+    'gpt-4o-mini': { input: 0.15 / 1e6, output: 0.6 / 1e6 },
+    'gpt-4o': { input: 2.5 / 1e6, output: 10 / 1e6 }
+};
+
+export const SPEECH_PRICES = {
+    ElevenLabs: { character: 0.3 / 1000 }
+};
+
+// What the app switches to once the day's budget is used up
+export const BUDGET_FALLBACKS = {
+    visionModel: 'gpt-4o-mini', // Instead of gpt-4o - shorter on detail, a fraction of the price
+    ttsEngine: 'browser'        // The device voice instead of ElevenLabs
+};
+
+export const USAGE_LEVELS = {
+    OK: 'ok',
+    WARNING: 'warning', // Most of the budget is used
+    OVER: 'over'        // The budget is used up - time for the cheaper services
+};
+
+export class UsageMeter {
+    // options: { budget, warnAt, storage, now, onLevelChange(level, previous) }
+    // budget: US dollars per day, 0 for no limit. warnAt: share of the budget that triggers the warning.
+    constructor(options = {}) {
+        this.budget = options.budget || 0;
+        this.warnAt = options.warnAt || 0.8;
+        this.storage = options.storage !== undefined ? options.storage :
+            (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.now = options.now || (() => Date.now());
+        this.onLevelChange = options.onLevelChange || (() => {});
+        this.data = this.load();
+    }
+
+    get level() {
+        return this.data.level;
+    }
+
+    // usage: { service, model, promptTokens, completionTokens } as the vision providers report it
+    recordVision(usage) {
+        this.refresh();
+        const price = visionPrice(usage.model);
+        const cost = price ? usage.promptTokens * price.input + usage.completionTokens * price.output : 0;
+
+        const vision = this.data.vision;
+        vision.requests++;
+        vision.promptTokens += usage.promptTokens;
+        vision.completionTokens += usage.completionTokens;
+        vision.cost += cost;
+        console.log(`${usage.service} usage: ${usage.promptTokens} + ${usage.completionTokens} tokens on ${usage.model}, about $${cost.toFixed(4)}`);
+
+        this.save();
+        this.updateLevel();
+    }
+
+    // usage: { service, characters } as the speech engines report it
+    recordSpeech(usage) {
+        this.refresh();
+        const price = SPEECH_PRICES[usage.service];
+        const cost = price ? usage.characters * price.character : 0;
+
+        const speech = this.data.speech;
+        speech.requests++;
+        speech.characters += usage.characters;
+        speech.cost += cost;
+
+        this.save();
+        this.updateLevel();
+    }
+
+    // Today's totals: { vision, speech, cost }
+    today() {
+        this.refresh();
+        return {
+            vision: { ...this.data.vision },
+            speech: { ...this.data.speech },
+            cost: this.data.vision.cost + this.data.speech.cost
+        };
+    }
+
+    setBudget(budget) {
+        this.budget = budget || 0;
+        this.updateLevel();
+    }
+
+    // Starts a new day's count when the date has changed. Returns the current level.
+    refresh() {
+        const day = dayKey(this.now());
+        if (this.data.day !== day) {
+            const previous = this.data.level;
+            this.data = emptyDay(day);
+            this.save();
+            if (previous !== this.data.level) {
+                this.onLevelChange(this.data.level, previous);
+            }
+        }
+        return this.updateLevel();
+    }
+
+    updateLevel() {
+        const cost = this.data.vision.cost + this.data.speech.cost;
+        let level = USAGE_LEVELS.OK;
+        if (this.budget > 0 && cost >= this.budget) {
+            level = USAGE_LEVELS.OVER;
+        } else if (this.budget > 0 && cost >= this.budget * this.warnAt) {
+            level = USAGE_LEVELS.WARNING;
+        }
+
+        const previous = this.data.level;
+        if (level !== previous) {
+            this.data.level = level;
+            this.save();
+            this.onLevelChange(level, previous);
+        }
+        return level;
+    }
+
+    load() {
+        const today = dayKey(this.now());
+        if (!this.storage) return emptyDay(today);
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(USAGE_KEY) || 'null');
+            return stored && stored.day === today && stored.vision && stored.speech ? stored : emptyDay(today);
+        } catch (error) {
+            console.log('Could not read the usage count:', error);
+            return emptyDay(today);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(USAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.log('Could not save the usage count:', error);
+        }
+    }
+}
+
+// "$0.04" in the user's language, with a third decimal for amounts under a dollar
+export function formatCost(amount, locale) {
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: amount > 0 && amount < 1 ? 3 : 2
+    }).format(amount);
+}
+
+function visionPrice(model) {
+    const name = Object.keys(VISION_PRICES).find(prefix => (model || '').startsWith(prefix));
+    return name ? VISION_PRICES[name] : null;
+}
+
+// The local date, so "today" ends at the user's midnight
+function dayKey(time) {
+    const date = new Date(time);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function emptyDay(day) {
+    return {
+        day: day,
+        vision: { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 },
+        speech: { requests: 0, characters: 0, cost: 0 },
+        level: USAGE_LEVELS.OK
+    };
+}
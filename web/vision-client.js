@@ -0,0 +1,205 @@
+// Vision client
+// What the app asks of the vision model - each kind of request, built from the templates in
+// prompts.js - and which provider answers: the configured one, or the on-device model when
+// the network is gone.
+
+import { LANGUAGES } from './i18n.js';
+import { API_ERROR_KINDS, ApiError, isOffline } from './request.js';
+import { OnDeviceVisionProvider } from './on-device-vision.js';
+import { parseFindObservation } from './object-finder.js';
+import { PROMPTS, VERBOSITY_LEVELS, renderPrompt } from './prompts.js';
+
+// Longer than anyone would say about themselves, short enough not to crowd out the question
+export const USER_CONTEXT_MAX_LENGTH = 500;
+
+export class VisionClient {
+    // options: { provider, language, userContext, onOfflineMode } - onOfflineMode is called the
+    // first time a request goes to the on-device model
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.language = options.language || 'en';
+        this.userContext = '';
+        this.setUserContext(options.userContext);
+        this.onOfflineMode = options.onOfflineMode || (() => {});
+        this.offlineProvider = null;
+        this.offlineModeAnnounced = false;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+        console.log('Using vision provider:', provider.name);
+    }
+
+    setLanguage(language) {
+        this.language = language;
+        if (this.offlineProvider) {
+            this.offlineProvider.setLanguage(language);
+        }
+    }
+
+    // What the user has told us about themselves ("I use a white cane", "I'm left-handed"),
+    // passed to the model with every request about the scene
+    setUserContext(text) {
+        this.userContext = (text || '').replace(/\s+/g, ' ').trim().slice(0, USER_CONTEXT_MAX_LENGTH);
+    }
+
+    get languageName() {
+        return LANGUAGES[this.language].name;
+    }
+
+    setOfflineFallback(enabled) {
+        if (!enabled) {
+            this.offlineProvider = null;
+            return;
+        }
+
+        if (!this.offlineProvider) {
+            this.offlineProvider = new OnDeviceVisionProvider({ language: this.language });
+        }
+        this.offlineProvider.setLanguage(this.language);
+
+        // Download now, while there's a connection, so it's cached for when there isn't
+        if (!isOffline()) {
+            this.offlineProvider.load().catch(error => console.log('Could not preload the on-device model:', error));
+        }
+    }
+
+    // The next request that needs the on-device model announces it again
+    handleOnline() {
+        this.offlineModeAnnounced = false;
+    }
+
+    // Runs a vision request on the configured provider, or on the on-device one when
+    // we're offline (or the request couldn't get through) and the fallback is switched on
+    async withProvider(task) {
+        if (!this.offlineProvider || !isOffline()) {
+            try {
+                return await task(this.provider);
+            } catch (error) {
+                const unreachable = error instanceof ApiError &&
+                    (error.kind === API_ERROR_KINDS.OFFLINE || error.kind === API_ERROR_KINDS.NETWORK);
+                if (!this.offlineProvider || !unreachable) {
+                    throw error;
+                }
+                console.log('Vision provider unreachable, using the on-device model');
+            }
+        }
+
+        if (!this.offlineModeAnnounced) {
+            this.offlineModeAnnounced = true;
+            this.onOfflineMode();
+        }
+        return task(this.offlineProvider);
+    }
+
+    // options: { format: 'hazards' for guide mode's JSON list, verbosity }
+    async describeScene(imageData, options = {}) {
+        console.log('Describing scene with', this.provider.name, 'provider...');
+        const hazards = options.format === 'hazards';
+        const verbosity = hazards ? VERBOSITY_LEVELS.normal : options.verbosity || VERBOSITY_LEVELS.normal;
+        const params = { languageName: this.languageName, sceneLength: verbosity.sceneLength || VERBOSITY_LEVELS.normal.sceneLength };
+
+        let prompt = renderPrompt(PROMPTS.scene.prompt, params);
+        if (hazards) {
+            prompt += renderPrompt(PROMPTS.hazards.prompt, params);
+        } else if (verbosity.instruction) {
+            prompt += `\n\n${verbosity.instruction}`;
+        }
+
+        const description = await this.withProvider(provider => provider.describeScene(imageData, {
+            systemPrompt: this.withUserContext(PROMPTS.scene.system),
+            prompt: prompt,
+            maxTokens: hazards ? PROMPTS.hazards.maxTokens : scaleTokens(PROMPTS.scene.maxTokens, verbosity),
+            json: hazards
+        }));
+
+        console.log('Vision response:', description);
+        return description;
+    }
+
+    // The hazards guide mode should warn about, or [] when the reply can't be understood
+    async scanForHazards(imageData) {
+        const content = await this.describeScene(imageData, { format: 'hazards' });
+
+        try {
+            const parsed = JSON.parse(content);
+            return Array.isArray(parsed.hazards) ? parsed.hazards.filter(hazard => hazard && hazard.description) : [];
+        } catch (error) {
+            console.error('Could not parse hazard list:', content);
+            return [];
+        }
+    }
+
+    // Streams the answer to a question about the image, calling onDelta with each piece.
+    // options: { history, verbosity, onDelta, onResponse, signal }. Resolves to the whole answer;
+    // rejects with an AbortError once signal fires.
+    async streamAnswer(imageData, question, options = {}) {
+        const history = options.history || [];
+        const verbosity = options.verbosity || VERBOSITY_LEVELS.normal;
+        const onDelta = options.onDelta || (() => {});
+
+        let systemPrompt = renderPrompt(PROMPTS.answer.system, { languageName: this.languageName });
+        if (history.length > 0) {
+            systemPrompt += PROMPTS.answer.followUp;
+        }
+
+        let prompt = renderPrompt(PROMPTS.answer.prompt, { question: question });
+        if (verbosity.instruction) {
+            prompt += `\n\n${verbosity.instruction}`;
+        }
+
+        const answerOptions = {
+            systemPrompt: this.withUserContext(systemPrompt),
+            history: history,
+            prompt: prompt,
+            maxTokens: scaleTokens(PROMPTS.answer.maxTokens, verbosity),
+            onResponse: options.onResponse,
+            signal: options.signal
+        };
+
+        const answer = await this.withProvider(async provider => {
+            let streamed = '';
+            for await (const delta of provider.streamAnswer(imageData, question, answerOptions)) {
+                // Providers that can't be cancelled are left to finish unheard
+                if (options.signal) {
+                    options.signal.throwIfAborted();
+                }
+                onDelta(delta, streamed);
+                streamed += delta;
+            }
+            return streamed;
+        });
+
+        console.log('Vision answer:', answer);
+        return answer;
+    }
+
+    // Text is transcribed as printed, so what the user said about themselves doesn't apply
+    async readText(imageData) {
+        return this.withProvider(provider => provider.readText(imageData, {
+            systemPrompt: PROMPTS.readText.system,
+            prompt: PROMPTS.readText.prompt,
+            maxTokens: PROMPTS.readText.maxTokens
+        }));
+    }
+
+    // Where the target is - see parseFindObservation
+    async locateObject(imageData, target) {
+        const content = await this.withProvider(provider => provider.locateObject(imageData, target, {
+            systemPrompt: this.withUserContext(PROMPTS.locate.system),
+            prompt: renderPrompt(PROMPTS.locate.prompt, { target: target }),
+            maxTokens: PROMPTS.locate.maxTokens
+        }));
+
+        console.log('Find response:', content);
+        return parseFindObservation(content);
+    }
+
+    withUserContext(systemPrompt) {
+        return this.userContext ? systemPrompt + renderPrompt(PROMPTS.userContext, { userContext: this.userContext }) : systemPrompt;
+    }
+}
+
+function scaleTokens(maxTokens, verbosity) {
+    return Math.round(maxTokens * (verbosity.tokenScale || 1));
+}
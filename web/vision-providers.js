@@ -0,0 +1,325 @@
+// Vision providers
+// The app asks a provider to describe the scene, answer a question about it, read its
+// text or locate an object in it.
+// Which model does the work is a configuration choice (see createVisionProvider).
+
+import { fetchWithRetry, readWithTimeout } from './request.js';
+
+export class VisionProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // options: { systemPrompt, prompt, maxTokens, json }
+    async describeScene(imageData, options = {}) {
+        throw new Error(`${this.name} provider does not implement describeScene`);
+    }
+
+    // options: { systemPrompt, prompt, history, maxTokens }
+    async answerQuestion(imageData, question, options = {}) {
+        throw new Error(`${this.name} provider does not implement answerQuestion`);
+    }
+
+    // Transcribes the visible text. options: { systemPrompt, prompt, maxTokens }
+    async readText(imageData, options = {}) {
+        throw new Error(`${this.name} provider does not implement readText`);
+    }
+
+    // Where the target is in the frame, as JSON text. options: { systemPrompt, prompt, maxTokens }
+    async locateObject(imageData, target, options = {}) {
+        throw new Error(`${this.name} provider does not implement locateObject`);
+    }
+
+    // Yields the answer in pieces as it's generated. Providers that can't stream
+    // yield the whole answer at once. options.onResponse(response) is called when the
+    // response starts, where there is one; options.signal cancels the request.
+    async *streamAnswer(imageData, question, options = {}) {
+        yield await this.answerQuestion(imageData, question, options);
+    }
+}
+
+// Shared message building for anything that speaks the chat-completions format
+export class ChatCompletionsVisionProvider extends VisionProvider {
+    constructor(name, model, options = {}) {
+        super(name);
+        this.model = model;
+        this.fetch = options.fetch || null; // The browser's fetch unless a fake is passed in
+        this.onUsage = options.onUsage || (() => {}); // Told the tokens each request used, for the usage meter
+        this.timeoutMs = 20000;       // Until the response starts
+        this.streamTimeoutMs = 15000; // Longest pause allowed while an answer streams in
+    }
+
+    async describeScene(imageData, options = {}) {
+        const messages = this.buildMessages(options.systemPrompt, [], options.prompt, imageData);
+        return this.createCompletion({
+            messages: messages,
+            max_tokens: options.maxTokens || 150,
+            ...(options.json ? { response_format: { type: 'json_object' } } : {})
+        });
+    }
+
+    async answerQuestion(imageData, question, options = {}) {
+        const messages = this.buildMessages(options.systemPrompt, options.history || [], options.prompt || question, imageData);
+        return this.createCompletion({
+            messages: messages,
+            max_tokens: options.maxTokens || 200
+        });
+    }
+
+    async readText(imageData, options = {}) {
+        // Small print needs the full-resolution image rather than the downsampled default
+        const messages = this.buildMessages(options.systemPrompt, [], options.prompt, imageData, 'high');
+        // A full page isn't streamed, so the whole transcription has to arrive within the timeout
+        return this.createCompletion({
+            messages: messages,
+            max_tokens: options.maxTokens || 1500
+        }, { timeoutMs: 45000 });
+    }
+
+    async locateObject(imageData, target, options = {}) {
+        const messages = this.buildMessages(options.systemPrompt, [], options.prompt || target, imageData);
+        return this.createCompletion({
+            messages: messages,
+            max_tokens: options.maxTokens || 100,
+            response_format: { type: 'json_object' }
+        });
+    }
+
+    async *streamAnswer(imageData, question, options = {}) {
+        const messages = this.buildMessages(options.systemPrompt, options.history || [], options.prompt || question, imageData);
+        const response = await this.postCompletion({
+            messages: messages,
+            max_tokens: options.maxTokens || 200,
+            stream: true
+        }, { signal: options.signal });
+        if (options.onResponse) {
+            options.onResponse(response);
+        }
+
+        // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        // The response headers are in, so the signal has to stop the body download itself
+        const cancelRead = () => reader.cancel().catch(() => {});
+        if (options.signal) {
+            options.signal.addEventListener('abort', cancelRead);
+        }
+
+        try {
+            while (true) {
+                const { done, value } = await readWithTimeout(reader, this.streamTimeoutMs, this.name);
+                if (options.signal) {
+                    options.signal.throwIfAborted();
+                }
+                if (done) {
+                    break;
+                }
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) {
+                        continue;
+                    }
+
+                    const data = trimmed.slice(5).trim();
+                    if (data === '[DONE]') {
+                        return;
+                    }
+
+                    const chunk = JSON.parse(data);
+                    // With stream_options.include_usage the last chunk has no choices, only the usage
+                    this.reportUsage(chunk);
+                    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+                    if (delta) {
+                        yield delta;
+                    }
+                }
+            }
+        } finally {
+            if (options.signal) {
+                options.signal.removeEventListener('abort', cancelRead);
+            }
+        }
+    }
+
+    buildMessages(systemPrompt, history, prompt, imageData, detail = 'auto') {
+        const messages = [];
+
+        if (systemPrompt) {
+            messages.push({ role: 'system', content: systemPrompt });
+        }
+
+        messages.push(...history);
+        messages.push({
+            role: 'user',
+            content: [
+                {
+                    type: 'text',
+                    text: prompt
+                },
+                {
+                    type: 'image_url',
+                    image_url: {
+                        url: imageData,
+                        detail: detail
+                    }
+                }
+            ]
+        });
+
+        return messages;
+    }
+
+    async createCompletion(body, requestOptions = {}) {
+        const response = await this.postCompletion(body, requestOptions);
+        const data = await response.json();
+        this.reportUsage(data);
+        return data.choices[0].message.content;
+    }
+
+    reportUsage(data) {
+        if (!data || !data.usage) {
+            return;
+        }
+
+        this.onUsage({
+            service: this.name,
+            model: data.model || this.model,
+            promptTokens: data.usage.prompt_tokens || 0,
+            completionTokens: data.usage.completion_tokens || 0
+        });
+    }
+
+    // Failures reject with an ApiError (see request.js); busy servers are retried
+    // requestOptions: { timeoutMs, signal }
+    async postCompletion(body, requestOptions = {}) {
+        return fetchWithRetry(this.getEndpoint(), {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify({ model: this.model, ...body }),
+            signal: requestOptions.signal
+        }, {
+            service: this.name,
+            timeoutMs: requestOptions.timeoutMs || this.timeoutMs,
+            fetch: this.fetch
+        });
+    }
+
+    getEndpoint() {
+        throw new Error(`${this.name} provider has no endpoint`);
+    }
+
+    getHeaders() {
+        return { 'Content-Type': 'application/json' };
+    }
+}
+
+// OpenAI through our own /api/vision proxy, which attaches the key server-side.
+// A user's own key (from settings) is passed along for the proxy to use instead.
+export class OpenAIVisionProvider extends ChatCompletionsVisionProvider {
+    constructor(options = {}) {
+        super('OpenAI', options.model || 'gpt-4o', options);
+        this.apiKey = options.apiKey || '';
+    }
+
+    getEndpoint() {
+        return '/api/vision';
+    }
+
+    getHeaders() {
+        const headers = super.getHeaders();
+        if (this.apiKey) {
+            headers['X-OpenAI-Key'] = this.apiKey;
+        }
+        return headers;
+    }
+}
+
+// Any server that implements the OpenAI chat-completions API with image input,
+// e.g. a local Ollama server running LLaVA at http://localhost:11434/v1
+export class OpenAICompatibleVisionProvider extends ChatCompletionsVisionProvider {
+    constructor(options = {}) {
+        super('OpenAI-compatible', options.model || 'llava', options);
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || '';
+    }
+
+    getEndpoint() {
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    getHeaders() {
+        const headers = super.getHeaders();
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+}
+
+// Deterministic answers for offline end-to-end tests - never touches the network
+export class MockVisionProvider extends VisionProvider {
+    constructor(options = {}) {
+        super('Mock');
+        this.description = options.description || 'You are in a room with a table ahead of you and a door to your right.';
+        this.hazards = options.hazards || [];
+        this.answer = options.answer || null;
+        this.text = options.text !== undefined ? options.text : 'BlindVision Test Label\nBest before 12 May 2026\nLot 4B7X';
+        this.location = options.location || { visible: true, position: 'center', distance: 'near', area: 0.3, within_reach: true };
+        this.calls = [];
+    }
+
+    async describeScene(imageData, options = {}) {
+        this.calls.push({ method: 'describeScene', imageData: imageData, options: options });
+
+        if (options.json) {
+            return JSON.stringify({ hazards: this.hazards });
+        }
+        return this.description;
+    }
+
+    async answerQuestion(imageData, question, options = {}) {
+        this.calls.push({ method: 'answerQuestion', imageData: imageData, question: question, options: options });
+
+        return this.answer || `This is a test answer to: ${question}`;
+    }
+
+    async readText(imageData, options = {}) {
+        this.calls.push({ method: 'readText', imageData: imageData, options: options });
+
+        return this.text;
+    }
+
+    async locateObject(imageData, target, options = {}) {
+        this.calls.push({ method: 'locateObject', imageData: imageData, target: target, options: options });
+
+        return JSON.stringify(this.location);
+    }
+
+    // Streams the same deterministic answer word by word
+    async *streamAnswer(imageData, question, options = {}) {
+        const answer = await this.answerQuestion(imageData, question, options);
+        for (const word of answer.split(/(?<=\s)/)) {
+            yield word;
+        }
+    }
+}
+
+// config: { provider: 'openai' | 'compatible' | 'mock', baseUrl, model, apiKey, fetch, onUsage }
+export function createVisionProvider(config = {}) {
+    switch (config.provider) {
+        case 'compatible':
+            return new OpenAICompatibleVisionProvider(config);
+        case 'mock':
+            return new MockVisionProvider(config);
+        case 'openai':
+        default:
+            return new OpenAIVisionProvider(config);
+    }
+}